@@ -0,0 +1,144 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantResolvedEvent, VariantUpdateEvent } from '@theme/events';
+
+const SUBSCRIPTIONS_KEY = 'back-in-stock';
+
+/**
+ * A custom element that collects emails to tell shoppers when a sold out variant is back in stock.
+ *
+ * It takes the place of the buy buttons while the selected variant is sold out. Requests are sent through the
+ * contact form, with the product, the variant ID and the SKU in the body. The variants the shopper asked about are
+ * kept in the local storage, so their form isn't shown again.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLFormElement} form - The contact form.
+ * @property {HTMLInputElement} body - The body of the request.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} success - The message shown once the request is sent.
+ * @property {HTMLElement} error - The message shown when the request can't be sent.
+ *
+ * @extends {Component<Refs>}
+ */
+class BackInStockComponent extends Component {
+  requiredRefs = ['form', 'body', 'submitButton', 'success', 'error'];
+
+  #controller = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#controller;
+    const target = this.closest('.shopify-section, dialog');
+
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantResolved, this.#handleVariantUpdate, { signal });
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#controller.abort();
+  }
+
+  /**
+   * Sends the request through the contact form.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { form, body, submitButton, success, error } = this.refs;
+    const { productTitle = '', variantId = '', variantSku = '', bodyTemplate = '' } = this.dataset;
+
+    if (!variantId) return;
+
+    body.value = bodyTemplate
+      .replace('[product]', productTitle)
+      .replace('[variant_id]', variantId)
+      .replace('[sku]', variantSku);
+
+    submitButton.disabled = true;
+    error.hidden = true;
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+
+      // The contact form redirects with `contact_posted` once the request is sent, and renders its errors otherwise
+      if (!response.ok || new URL(response.url).searchParams.get('contact_posted') !== 'true') {
+        throw new Error(`Failed to send the back in stock request for variant ${variantId}`);
+      }
+
+      addSubscription(variantId);
+      this.#render();
+      success.focus();
+    } catch (requestError) {
+      error.hidden = false;
+      console.error(requestError);
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the form for the selected variant while it's sold out.
+   * @param {VariantUpdateEvent | VariantResolvedEvent} event - The variant update or resolved event.
+   */
+  #handleVariantUpdate = (event) => {
+    if (event instanceof VariantUpdateEvent && event.detail.data.newProduct) {
+      const newBackInStock = event.detail.data.html.querySelector('back-in-stock-component');
+
+      this.dataset.productId = event.detail.data.newProduct.id;
+      if (newBackInStock instanceof HTMLElement) this.dataset.productTitle = newBackInStock.dataset.productTitle;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = event.detail.resource;
+
+    this.dataset.variantId = variant ? String(variant.id) : '';
+    this.dataset.variantSku = variant?.sku ?? '';
+    this.hidden = !variant || variant.available;
+    this.#render();
+  };
+
+  /**
+   * Shows the form, or the success message when the shopper already asked about the variant.
+   */
+  #render() {
+    const { form, success, error } = this.refs;
+    const subscribed = getSubscriptions().includes(this.dataset.variantId ?? '');
+
+    form.hidden = subscribed;
+    success.hidden = !subscribed;
+    error.hidden = true;
+  }
+}
+
+/**
+ * Gets the ids of the variants the shopper asked to be told about.
+ * @returns {string[]} The variant ids.
+ */
+function getSubscriptions() {
+  try {
+    return JSON.parse(localStorage.getItem(SUBSCRIPTIONS_KEY) ?? '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Remembers that the shopper asked to be told about a variant.
+ * @param {string} variantId - The id of the variant.
+ */
+function addSubscription(variantId) {
+  const subscriptions = getSubscriptions();
+  if (subscriptions.includes(variantId)) return;
+
+  localStorage.setItem(SUBSCRIPTIONS_KEY, JSON.stringify([...subscriptions, variantId]));
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
@@ -0,0 +1,90 @@
+import { cartClient } from '@theme/cart-client';
+import { cartStore } from '@theme/cart-store';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+
+/**
+ * The line item property that marks a line as an add-on, its value is the quantity rule of the add-on.
+ * The leading underscore hides it in the cart and at checkout.
+ */
+export const ADD_ON_PROPERTY = '_add_on';
+
+/** The lock held by the tab that syncs the add-ons */
+const SYNC_LOCK = 'cart-add-ons-sync';
+
+/**
+ * Keeps the quantity of the add-ons in the cart tied to their rule: once per order, or once per item of the other
+ * lines. The add-ons are removed once they're the only lines left.
+ *
+ * It runs on every page, as the cart can change anywhere. Only one of the open tabs syncs the cart, the others get the
+ * synced cart from it.
+ */
+class CartAddOnSync {
+  constructor() {
+    if (navigator.locks) {
+      // The lock is held until the tab is closed, then the next tab waiting for it takes over
+      navigator.locks.request(SYNC_LOCK, () => {
+        this.#subscribe();
+        return new Promise(() => {});
+      });
+    } else {
+      this.#subscribe();
+    }
+  }
+
+  /**
+   * Syncs the add-ons whenever the lines of the cart change.
+   */
+  #subscribe() {
+    cartStore.subscribe(
+      (cart) => cart.items.map(({ key, quantity }) => `${key}:${quantity}`).join(','),
+      (_, cart) => this.#syncQuantities(cart)
+    );
+  }
+
+  /**
+   * Sets the quantity of every add-on in the cart to the one its rule calls for.
+   * @param {Cart} cart - The cart.
+   */
+  #syncQuantities(cart) {
+    /** @type {Record<string, number>} */
+    const updates = {};
+
+    for (const item of getAddOnLines(cart)) {
+      const quantity = getAddOnQuantity(cart, item.properties?.[ADD_ON_PROPERTY] ?? 'order');
+
+      if (item.quantity !== quantity) updates[item.key] = quantity;
+    }
+
+    if (Object.keys(updates).length === 0) return;
+
+    cartClient.update({ updates }, { data: { source: 'cart-add-ons' } }).catch((error) => console.error(error));
+  }
+}
+
+/**
+ * Gets the add-on lines of the cart.
+ * @param {Cart} cart - The cart.
+ * @returns {Cart['items']} The add-on lines.
+ */
+export function getAddOnLines(cart) {
+  return cart.items.filter((item) => item.properties?.[ADD_ON_PROPERTY]);
+}
+
+/**
+ * Gets the quantity of an add-on for its rule, none when the cart only holds add-ons.
+ * @param {Cart} cart - The cart.
+ * @param {string} rule - The quantity rule, `order` or `item`.
+ * @returns {number} The quantity.
+ */
+export function getAddOnQuantity(cart, rule) {
+  const itemCount = cart.items
+    .filter((item) => !item.properties?.[ADD_ON_PROPERTY])
+    .reduce((count, item) => count + item.quantity, 0);
+
+  if (itemCount === 0) return 0;
+
+  return rule === 'item' ? itemCount : 1;
+}
+
+new CartAddOnSync();
@@ -0,0 +1,79 @@
+import { Component } from '@theme/component';
+import { cartClient } from '@theme/cart-client';
+import { cartStore } from '@theme/cart-store';
+import { cartPerformance } from '@theme/performance';
+import { getCartError, hideCartError, showCartError } from '@theme/cart-errors';
+import { ADD_ON_PROPERTY, getAddOnLines, getAddOnQuantity } from '@theme/cart-add-on-sync';
+
+/**
+ * A custom element that adds or removes add-on products, such as gift wrap or shipping protection.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement[]} [toggles] - The add-on toggles.
+ * @property {HTMLElement} error - The error shown when an add-on can't be added or removed.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartAddOnsComponent extends Component {
+  requiredRefs = ['error'];
+
+  /**
+   * Adds the add-on of a toggle to the cart, or removes it.
+   * @param {Event} event - The change event.
+   */
+  async toggleAddOn(event) {
+    const toggle = event.target;
+    if (!(toggle instanceof HTMLInputElement)) return;
+
+    const addOn = toggle.closest('[data-variant-id]');
+    if (!(addOn instanceof HTMLElement)) return;
+
+    const { variantId = '', rule = 'order' } = addOn.dataset;
+    const { error } = this.refs;
+    const options = { target: this, sourceId: variantId, data: { source: 'cart-add-ons', variantId } };
+
+    toggle.disabled = true;
+    hideCartError(error);
+
+    try {
+      const cart = cartStore.cart ?? (await cartStore.refresh());
+      if (!cart) return;
+
+      /** @type {any} */
+      let response;
+
+      if (toggle.checked) {
+        const formData = new FormData();
+        formData.append('id', variantId);
+        formData.append('quantity', String(getAddOnQuantity(cart, rule)));
+        formData.append(`properties[${ADD_ON_PROPERTY}]`, rule);
+
+        response = await cartClient.add(formData, options);
+      } else {
+        const updates = Object.fromEntries(
+          getAddOnLines(cart)
+            .filter((item) => String(item.variant_id) === variantId)
+            .map((item) => [item.key, 0])
+        );
+
+        response = await cartClient.update({ updates }, options);
+      }
+
+      if (response.status || response.errors) {
+        toggle.checked = !toggle.checked;
+        showCartError(error, getCartError(response));
+      }
+    } catch (requestError) {
+      toggle.checked = !toggle.checked;
+      showCartError(error, getCartError(requestError));
+      console.error(requestError);
+    } finally {
+      toggle.disabled = false;
+      cartPerformance.measureFromEvent('add-on-toggle:user-action', event);
+    }
+  }
+}
+
+if (!customElements.get('cart-add-ons-component')) {
+  customElements.define('cart-add-ons-component', CartAddOnsComponent);
+}
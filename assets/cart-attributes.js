@@ -0,0 +1,192 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { cartPerformance } from '@theme/performance';
+import { cartClient } from '@theme/cart-client';
+
+/** @typedef {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} AttributeField */
+
+/**
+ * A custom element that saves its fields to the cart attributes.
+ *
+ * Each field is linked to the cart form with its `form` attribute, so the required fields are validated by the
+ * browser before checkout.
+ *
+ * @typedef {object} Refs
+ * @property {AttributeField[]} [fields] - The attribute fields.
+ * @property {HTMLElement} status - The save status.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartAttributesComponent extends Component {
+  requiredRefs = ['status'];
+
+  /**
+   * The attributes changed since the last save
+   * @type {Record<string, string>}
+   */
+  #pendingAttributes = {};
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // The invalid event doesn't bubble
+    this.addEventListener('invalid', this.#handleInvalid, true);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart was rendered again before the changes were saved, keep showing them
+    for (const field of this.refs.fields ?? []) {
+      const value = this.#pendingAttributes[getAttributeName(field) ?? ''];
+
+      if (value != null) setFieldValue(field, value);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener('invalid', this.#handleInvalid, true);
+    this.#saveAttributes.cancel();
+    this.#activeFetch?.abort();
+  }
+
+  /**
+   * Queues the value of a field to be saved.
+   * @param {Event} event - The input or change event.
+   */
+  updateAttribute(event) {
+    const field = event.target;
+    if (!isAttributeField(field)) return;
+
+    const name = getAttributeName(field);
+    if (!name) return;
+
+    this.#pendingAttributes[name] = getFieldValue(field);
+
+    if (field.checkValidity()) field.removeAttribute('aria-invalid');
+
+    this.#saveAttributes(event);
+  }
+
+  /**
+   * Saves the changed attributes to the cart.
+   * @param {Event} event - The event that triggered the save.
+   */
+  #saveAttributes = debounce(async (event) => {
+    const attributes = { ...this.#pendingAttributes };
+
+    this.#activeFetch?.abort();
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      const response = await cartClient.update(
+        { attributes },
+        { target: this, silent: true, signal: abortController.signal }
+      );
+
+      // Changes made during the request are saved by the next one
+      for (const [name, value] of Object.entries(attributes)) {
+        if (this.#pendingAttributes[name] === value) delete this.#pendingAttributes[name];
+      }
+
+      if (response.pending) {
+        this.#renderStatus('pending', Theme.translations.cart_offline);
+      } else if (response.errors || response.status) {
+        this.#renderStatus('error', this.dataset.errorMessage);
+      } else {
+        this.#renderStatus('saved', this.dataset.savedMessage);
+      }
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      this.#renderStatus('error', this.dataset.errorMessage);
+      console.error(error);
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
+
+      cartPerformance.measureFromEvent('attributes-update:user-action', event);
+    }
+  }, 300);
+
+  /**
+   * Flags the invalid fields when the cart form is submitted.
+   * @param {Event} event - The invalid event.
+   */
+  #handleInvalid = (event) => {
+    if (!isAttributeField(event.target)) return;
+
+    event.target.setAttribute('aria-invalid', 'true');
+    this.#renderStatus('error', this.dataset.requiredMessage);
+  };
+
+  /**
+   * Renders the save status.
+   * @param {'saved' | 'pending' | 'error'} state - The status.
+   * @param {string} [message] - The status message.
+   */
+  #renderStatus(state, message = '') {
+    const { status } = this.refs;
+
+    status.dataset.state = state;
+    status.textContent = message;
+  }
+}
+
+/**
+ * Checks if an element is an attribute field
+ * @param {EventTarget | null} element - The element to check
+ * @returns {element is AttributeField} Whether the element is an attribute field
+ */
+function isAttributeField(element) {
+  return (
+    element instanceof HTMLInputElement ||
+    element instanceof HTMLSelectElement ||
+    element instanceof HTMLTextAreaElement
+  );
+}
+
+/**
+ * Gets the name of the cart attribute a field is for, from its `attributes[name]` name
+ * @param {AttributeField} field - The field
+ * @returns {string | undefined} The attribute name
+ */
+function getAttributeName(field) {
+  return field.name.match(/^attributes\[(.+)\]$/)?.[1];
+}
+
+/**
+ * Gets the attribute value of a field, an empty value removes the attribute from the cart
+ * @param {AttributeField} field - The field
+ * @returns {string} The attribute value
+ */
+function getFieldValue(field) {
+  if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+    return field.checked ? field.value : '';
+  }
+
+  return field.value;
+}
+
+/**
+ * Sets the value of a field from an attribute value
+ * @param {AttributeField} field - The field
+ * @param {string} value - The attribute value
+ */
+function setFieldValue(field, value) {
+  if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+    field.checked = value === field.value;
+  } else {
+    field.value = value;
+  }
+}
+
+if (!customElements.get('cart-attributes-component')) {
+  customElements.define('cart-attributes-component', CartAttributesComponent);
+}
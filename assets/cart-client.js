@@ -0,0 +1,616 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartAddEvent, CartUpdateEvent, CartErrorEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { getCartError, getCartErrorType } from '@theme/cart-errors';
+
+/**
+ * @typedef {Object} CartEventData
+ * @property {boolean} [didError] - Whether the cart operation failed
+ * @property {string} [source] - The source of the cart update
+ * @property {string} [productId] - The id of the product card that was updated
+ * @property {number} [itemCount] - The number of items in the cart
+ * @property {string} [variantId] - The id of the product variant that was updated
+ * @property {AddedItem[]} [items] - The result of each item, when several items are added at once
+ */
+
+/**
+ * The result of an item added along with others.
+ *
+ * @typedef {Object} AddedItem
+ * @property {number} id - The variant id
+ * @property {number} quantity - The quantity asked for
+ * @property {boolean} added - Whether the item was added
+ * @property {string} [message] - Why the item couldn't be added
+ * @property {string} [errorType] - The {@link import('./cart-errors').CartErrorType} of the failure
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {EventTarget} [target] - The element the cart events are dispatched from, defaults to the document
+ * @property {string} [sourceId] - The id of the element the action was triggered from
+ * @property {string[]} [sections] - The sections the caller needs rendered in the response
+ * @property {CartEventData} [data] - Additional data passed along with the dispatched events
+ * @property {boolean} [silent] - Whether to skip dispatching the cart update events
+ * @property {AbortSignal} [signal] - Cancels the request if it hasn't been sent yet
+ */
+
+/**
+ * @typedef {Object} CartOperation
+ * @property {'add' | 'change' | 'update' | 'replace'} type - The cart endpoint to call
+ * @property {FormData | Record<string, any>} body - The add to cart form data, or the JSON body
+ */
+
+/**
+ * The response of several items added at once.
+ *
+ * @typedef {Object} AddItemsResponse
+ * @property {AddedItem[]} results - The result of each item, in the order they were given
+ * @property {number} [status] - The error status, when none of the items could be added
+ * @property {string} [message] - The error message, when none of the items could be added
+ * @property {string} [description] - The error description, when none of the items could be added
+ */
+
+/**
+ * The line that replaces another one.
+ *
+ * @typedef {Object} ReplacementLine
+ * @property {string} key - The key of the line to replace
+ * @property {number} id - The variant id of the new line
+ * @property {number} [quantity] - The quantity of the new line, defaults to the quantity of the replaced line
+ * @property {Record<string, string>} properties - The line item properties, merged over the ones of the replaced line
+ * @property {number} [selling_plan] - The selling plan of the new line
+ */
+
+/**
+ * An operation made while offline, stored until the shopper is back online.
+ *
+ * @typedef {Object} OfflineCartOperation
+ * @property {'add' | 'change' | 'update' | 'replace'} type - The cart endpoint to call
+ * @property {[string, string][] | Record<string, any>} body - The add to cart form entries, or the JSON body
+ * @property {string} [sourceId] - The id of the element the action was triggered from
+ * @property {string[]} [sections] - The sections the caller needed rendered
+ * @property {CartEventData} [data] - Additional data passed along with the dispatched events
+ */
+
+/**
+ * The response of an operation that was queued because the shopper is offline.
+ *
+ * @typedef {Object} PendingResponse
+ * @property {true} pending - The operation will be sent once the shopper is back online
+ */
+
+const OFFLINE_QUEUE_KEY = 'cart-offline-queue';
+
+/**
+ * A client for the Cart AJAX API.
+ *
+ * Every mutation is queued and sent one after the other, so the responses are applied in the order the shopper
+ * triggered them and a stale response can never morph over a newer one.
+ *
+ * Mutations made while offline are stored and replayed once the connection is back.
+ *
+ * Every response is fed to the `cartStore`, so its state follows the cart.
+ */
+class CartClient {
+  /**
+   * The last request in the queue
+   * @type {Promise<unknown>}
+   */
+  #queue = Promise.resolve();
+
+  constructor() {
+    window.addEventListener('online', this.#replayOfflineOperations);
+
+    if (navigator.onLine) this.#replayOfflineOperations();
+  }
+
+  /**
+   * Adds items to the cart
+   * @param {FormData} formData - The add to cart form data
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<any>} The parsed response, or a {@link PendingResponse} when offline
+   */
+  add(formData, options = {}) {
+    return this.#enqueue({ type: 'add', body: formData }, options);
+  }
+
+  /**
+   * Adds several items at once, like the products of a bundle.
+   *
+   * An item that can't be added doesn't stop the others, and a single cart add event is dispatched with the result
+   * of each item.
+   * @param {CartLineItem[]} items - The items to add
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<AddItemsResponse | PendingResponse>} The result of each item, or a {@link PendingResponse} when
+   * offline
+   */
+  addItems(items, options = {}) {
+    return this.#enqueue({ type: 'add', body: { items } }, options);
+  }
+
+  /**
+   * Changes the quantity of a cart line
+   * @param {Object} line - The line to change
+   * @param {number} line.line - The 1-based index of the line
+   * @param {number} line.quantity - The new quantity
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<any>} The parsed response, or a {@link PendingResponse} when offline
+   */
+  change({ line, quantity }, options = {}) {
+    return this.#enqueue({ type: 'change', body: { line, quantity } }, options);
+  }
+
+  /**
+   * Updates the cart note, attributes or discount codes
+   * @param {Record<string, any>} body - The fields to update
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<any>} The parsed response, or a {@link PendingResponse} when offline
+   */
+  update(body, options = {}) {
+    return this.#enqueue({ type: 'update', body }, options);
+  }
+
+  /**
+   * Replaces a cart line with the variant picked in a product form.
+   *
+   * The line doesn't keep its position: the Cart API adds lines at the top of the cart and has no way to reorder them,
+   * so the new line shows first, unless it's merged into the replaced line.
+   * @param {string} key - The key of the line to replace
+   * @param {FormData} formData - The product form data
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<any>} The parsed response, or a {@link PendingResponse} when offline
+   */
+  replace(key, formData, options = {}) {
+    /** @type {ReplacementLine} */
+    const line = { key, id: Number(formData.get('id')), properties: {} };
+
+    for (const [name, value] of formData) {
+      const property = name.match(/^properties\[(.+)\]$/)?.[1];
+
+      if (property && typeof value === 'string') line.properties[property] = value;
+    }
+
+    if (formData.has('quantity')) line.quantity = Number(formData.get('quantity'));
+    if (formData.get('selling_plan')) line.selling_plan = Number(formData.get('selling_plan'));
+
+    return this.#enqueue({ type: 'replace', body: line }, options);
+  }
+
+  /**
+   * Queues an operation behind the ones already in flight
+   * @param {CartOperation} operation - The operation to send
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<any>} The parsed response
+   */
+  #enqueue(operation, options) {
+    const request = this.#queue.then(async () => {
+      options.signal?.throwIfAborted();
+
+      if (!navigator.onLine && canStoreOffline(operation)) {
+        return this.#storeOfflineOperation(operation, options);
+      }
+
+      try {
+        return await this.#send(operation, options);
+      } catch (error) {
+        // The request never reached the server because the connection dropped
+        if (error instanceof TypeError && !navigator.onLine && canStoreOffline(operation)) {
+          return this.#storeOfflineOperation(operation, options);
+        }
+
+        if (!options.signal?.aborted) this.#dispatchError(error, options);
+
+        throw error;
+      }
+    });
+
+    // A failed request must not block the ones queued after it
+    this.#queue = request.catch(() => {});
+
+    return request;
+  }
+
+  /**
+   * Sends an operation to its endpoint
+   * @param {CartOperation} operation - The operation to send
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<any>} The parsed response
+   */
+  #send({ type, body }, options) {
+    if (body instanceof FormData) return this.#add(body, options);
+    if (type === 'add') return this.#addMany(body.items, options);
+    if (type === 'replace') return this.#replace(/** @type {ReplacementLine} */ (body), options);
+
+    const url = type === 'change' ? Theme.routes.cart_change_url : Theme.routes.cart_update_url;
+
+    return this.#update(url, body, options);
+  }
+
+  /**
+   * Posts to the add endpoint
+   * @param {FormData} formData - The add to cart form data
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<any>} The parsed response
+   */
+  async #add(formData, options) {
+    formData.set('sections', this.#sectionsToRender(options.sections).join(','));
+
+    const config = fetchConfig('javascript', { body: formData });
+    const response = await this.#request(Theme.routes.cart_add_url, {
+      ...config,
+      headers: {
+        ...config.headers,
+        Accept: 'text/html',
+      },
+      signal: options.signal,
+    });
+
+    // The add endpoint only returns the added items, the back-end may also have added part of a failed request
+    cartStore.refresh().catch((error) => console.error(error));
+
+    if (response.status) {
+      this.#dispatchError(response, options);
+
+      // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
+      // because our back-end still adds the max allowed amount to the cart.
+      this.#dispatch(new CartAddEvent({}, options.sourceId, { ...options.data, didError: true }), options);
+    } else {
+      this.#dispatch(new CartAddEvent({}, options.sourceId, { ...options.data, sections: response.sections }), options);
+    }
+
+    return response;
+  }
+
+  /**
+   * Posts several items to the add endpoint.
+   *
+   * The endpoint rejects the whole request when one of the items can't be added, though it may already have added part
+   * of it. The cart is then compared with the one before the request, and only what's missing of each item is sent
+   * again, one by one, to add the others and tell which ones failed.
+   * @param {CartLineItem[]} items - The items to add
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<AddItemsResponse>} The result of each item
+   */
+  async #addMany(items, options) {
+    const sections = this.#sectionsToRender(options.sections).join(',');
+
+    /**
+     * @param {CartLineItem[]} items - The items to post
+     * @returns {Promise<any>} The parsed response
+     */
+    const post = (items) =>
+      this.#request(Theme.routes.cart_add_url, {
+        ...fetchConfig('json', { body: JSON.stringify({ items, sections }) }),
+        signal: options.signal,
+      });
+
+    const quantitiesBefore = items.length > 1 ? getVariantQuantities(await cartStore.refresh()) : new Map();
+
+    let response = await post(items);
+
+    let results = items.map((item) => toAddedItem(item, response));
+
+    if (response.status && items.length > 1) {
+      const quantitiesAfter = getVariantQuantities(await cartStore.refresh());
+
+      // The quantity of each variant the rejected request added anyway
+      /** @type {Map<number, number>} */
+      const addedQuantities = new Map();
+
+      for (const [id, quantity] of quantitiesAfter) {
+        addedQuantities.set(id, quantity - (quantitiesBefore.get(id) ?? 0));
+      }
+
+      results = [];
+
+      for (const item of items) {
+        const addedQuantity = Math.min(Math.max(addedQuantities.get(item.id) ?? 0, 0), item.quantity);
+        addedQuantities.set(item.id, (addedQuantities.get(item.id) ?? 0) - addedQuantity);
+
+        if (addedQuantity === item.quantity) {
+          results.push({ id: item.id, quantity: item.quantity, added: true });
+          continue;
+        }
+
+        const itemResponse = await post([{ ...item, quantity: item.quantity - addedQuantity }]);
+
+        results.push(toAddedItem(item, itemResponse));
+
+        // The last successful response has the sections of the cart with every added item
+        if (!itemResponse.status || response.status) response = itemResponse;
+      }
+    }
+
+    cartStore.refresh().catch((error) => console.error(error));
+
+    const didError = results.every((result) => !result.added);
+    const itemCount = results.reduce((count, result) => count + (result.added ? result.quantity : 0), 0);
+
+    if (didError) this.#dispatchError(response, options);
+
+    this.#dispatch(
+      new CartAddEvent({}, options.sourceId, {
+        ...options.data,
+        itemCount,
+        items: results,
+        didError,
+        ...(!didError && { sections: response.sections }),
+      }),
+      options
+    );
+
+    if (didError) {
+      return { results, status: response.status, message: response.message, description: response.description };
+    }
+
+    return { results };
+  }
+
+  /**
+   * Posts to the change or update endpoint
+   * @param {string} url - The endpoint
+   * @param {Record<string, any>} body - The request body
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<any>} The parsed response
+   */
+  async #update(url, body, options) {
+    const response = await this.#request(url, {
+      ...fetchConfig('json', {
+        body: JSON.stringify({
+          ...body,
+          sections: this.#sectionsToRender(options.sections).join(','),
+          sections_url: window.location.pathname,
+        }),
+      }),
+      signal: options.signal,
+    });
+
+    if (response.items) cartStore.set(response);
+
+    if (response.errors || response.status) {
+      this.#dispatchError(response, options);
+    } else {
+      this.#dispatch(
+        new CartUpdateEvent(response, options.sourceId ?? '', {
+          ...options.data,
+          itemCount: response.item_count,
+          sections: response.sections,
+        }),
+        options
+      );
+    }
+
+    return response;
+  }
+
+  /**
+   * Replaces a cart line.
+   *
+   * The Cart API can't change the variant of a line, so the new line is added first, and the replaced line is only
+   * removed once the new one is in the cart. A failure leaves the replaced line where it was, and the other lines are
+   * never touched, which is why the new line isn't moved to the position of the replaced one.
+   * @param {ReplacementLine} line - The replacement line
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<any>} The parsed response
+   */
+  async #replace({ key, ...line }, options) {
+    const cart = await cartStore.refresh();
+    const item = cart?.items.find((item) => item.key === key);
+
+    if (!item) throw new Error(`Cart line ${key} not found`);
+
+    const replacedLine = toAddItem(item);
+    const newLine = {
+      ...replacedLine,
+      ...line,
+      quantity: line.quantity ?? replacedLine.quantity,
+      properties: { ...replacedLine.properties, ...line.properties },
+    };
+
+    const response = await this.#request(Theme.routes.cart_add_url, {
+      ...fetchConfig('json', { body: JSON.stringify({ items: [newLine] }) }),
+      signal: options.signal,
+    });
+
+    if (response.status) {
+      // The back-end may still have added part of the quantity, the cart is rendered as it is
+      await this.#update(Theme.routes.cart_update_url, {}, { ...options, data: { ...options.data, didError: true } });
+      this.#dispatchError(response, options);
+
+      return response;
+    }
+
+    // The same variant and properties are merged into the replaced line, which then takes the new quantity
+    const merged = response.items?.some((/** @type {{ key: string }} */ added) => added.key === key);
+
+    return this.#update(Theme.routes.cart_change_url, { id: key, quantity: merged ? newLine.quantity : 0 }, options);
+  }
+
+  /**
+   * Sends a request and parses the JSON response
+   * @param {string} url - The endpoint
+   * @param {RequestInit} config - The fetch config
+   * @returns {Promise<any>} The parsed response
+   */
+  async #request(url, config) {
+    const response = await fetch(url, config);
+
+    return response.json();
+  }
+
+  /**
+   * Stores an operation to replay it once the shopper is back online
+   * @param {CartOperation} operation - The operation to store
+   * @param {CartRequestOptions} options - The request options
+   * @returns {PendingResponse} The pending response
+   */
+  #storeOfflineOperation({ type, body }, { sourceId, sections, data }) {
+    const operations = readOfflineOperations();
+    const storedBody = body instanceof FormData ? /** @type {[string, string][]} */ (Array.from(body)) : body;
+
+    operations.push({ type, body: storedBody, sourceId, sections, data });
+    localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(operations));
+
+    return { pending: true };
+  }
+
+  /**
+   * Replays the operations made while offline, in the order they were made.
+   * The stored operations are claimed under a lock so only one tab replays them.
+   */
+  #replayOfflineOperations = () => {
+    const replay = () => {
+      const operations = readOfflineOperations();
+      localStorage.removeItem(OFFLINE_QUEUE_KEY);
+
+      for (const { type, body, ...options } of operations) {
+        const operation = { type, body: Array.isArray(body) ? toFormData(body) : body };
+
+        // The failure is dispatched as a cart error by the queue
+        this.#enqueue(operation, options).catch((error) => console.error(error));
+      }
+    };
+
+    if (navigator.locks) {
+      navigator.locks.request(OFFLINE_QUEUE_KEY, replay);
+    } else {
+      replay();
+    }
+  };
+
+  /**
+   * Merges the sections requested by the caller with the cart sections on the page, so every cart on the page can
+   * be morphed from a single response.
+   * @param {string[]} [sections] - The sections the caller needs rendered
+   * @returns {string[]} The section ids
+   */
+  #sectionsToRender(sections = []) {
+    const sectionIds = new Set(sections);
+
+    for (const cartItems of document.querySelectorAll('cart-items-component')) {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) {
+        sectionIds.add(cartItems.dataset.sectionId);
+      }
+    }
+
+    return Array.from(sectionIds);
+  }
+
+  /**
+   * Dispatches a cart error event for an error response, classified by its type
+   * @param {any} response - The parsed response, or the error thrown by the request
+   * @param {CartRequestOptions} options - The request options
+   */
+  #dispatchError(response, options) {
+    (options.target ?? document).dispatchEvent(
+      new CartErrorEvent(
+        options.sourceId ?? '',
+        response.message,
+        response.description,
+        response.errors,
+        getCartErrorType(response)
+      )
+    );
+  }
+
+  /**
+   * Dispatches a cart event unless the caller asked for a silent request
+   * @param {Event} event - The event to dispatch
+   * @param {CartRequestOptions} options - The request options
+   */
+  #dispatch(event, options) {
+    if (options.silent) return;
+
+    (options.target ?? document).dispatchEvent(event);
+  }
+}
+
+/**
+ * Checks if an operation can be stored while offline, uploaded files can't be serialized
+ * @param {CartOperation} operation - The operation to check
+ * @returns {boolean} Whether the operation can be stored
+ */
+function canStoreOffline({ body }) {
+  return !(body instanceof FormData) || Array.from(body.values()).every((value) => typeof value === 'string');
+}
+
+/**
+ * The fields of a line item sent to the add endpoint.
+ *
+ * @typedef {Object} CartLineItem
+ * @property {number} id - The variant id
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number} [selling_plan] - The selling plan id
+ */
+
+/**
+ * Gets the fields needed to add a cart item back to the cart
+ * @param {import('./cart-store').CartItem} item - The cart item
+ * @returns {CartLineItem} The line item
+ */
+function toAddItem(item) {
+  return {
+    id: item.variant_id,
+    quantity: item.quantity,
+    properties: item.properties ?? {},
+    selling_plan: item.selling_plan_allocation?.selling_plan.id,
+  };
+}
+
+/**
+ * Gets the quantity of each variant in the cart
+ * @param {import('./cart-store').Cart | null} cart - The cart
+ * @returns {Map<number, number>} The quantities, by variant id
+ */
+function getVariantQuantities(cart) {
+  /** @type {Map<number, number>} */
+  const quantities = new Map();
+
+  for (const item of cart?.items ?? []) {
+    quantities.set(item.variant_id, (quantities.get(item.variant_id) ?? 0) + item.quantity);
+  }
+
+  return quantities;
+}
+
+/**
+ * Gets the result of an item from the response of the add endpoint
+ * @param {CartLineItem} item - The item that was sent
+ * @param {any} response - The parsed response
+ * @returns {AddedItem} The result of the item
+ */
+function toAddedItem({ id, quantity }, response) {
+  if (!response.status) return { id, quantity, added: true };
+
+  const { type, detail } = getCartError(response);
+
+  return { id, quantity, added: false, message: detail, errorType: type };
+}
+
+/**
+ * Creates form data from stored form entries
+ * @param {[string, string][]} entries - The form entries
+ * @returns {FormData} The form data
+ */
+function toFormData(entries) {
+  const formData = new FormData();
+
+  for (const [key, value] of entries) formData.append(key, value);
+
+  return formData;
+}
+
+/**
+ * Reads the operations made while offline
+ * @returns {OfflineCartOperation[]} The stored operations
+ */
+function readOfflineOperations() {
+  try {
+    return JSON.parse(localStorage.getItem(OFFLINE_QUEUE_KEY) || '[]');
+  } catch (_) {
+    return [];
+  }
+}
+
+export const cartClient = new CartClient();
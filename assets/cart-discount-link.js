@@ -0,0 +1,131 @@
+import { cartClient } from '@theme/cart-client';
+import { cartStore } from '@theme/cart-store';
+import { DiscountLinkEvent, DiscountUpdateEvent } from '@theme/events';
+
+/** The discount code of the link the shopper landed from, kept for the session until it's applied or rejected. */
+const DISCOUNT_LINK_KEY = 'cart-discount-link-code';
+
+/**
+ * The outcome of the code of a discount link.
+ *
+ * @typedef {Object} LinkedDiscountResult
+ * @property {string} code - The discount code
+ * @property {boolean} applied - Whether the code applies to the cart
+ */
+
+/**
+ * Applies the discount code of a `?discount=CODE` link, on every page and whether or not the cart shows the discount
+ * form.
+ *
+ * The code is kept for the session until the cart has items to apply it to, and until the cart applies or rejects it,
+ * so a network error doesn't lose it.
+ */
+class CartDiscountLink {
+  /** @type {LinkedDiscountResult | null} */
+  #result = null;
+
+  /** Whether the code is being applied */
+  #applying = false;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  constructor() {
+    this.#storeCode();
+
+    if (!sessionStorage.getItem(DISCOUNT_LINK_KEY)) return;
+
+    window.addEventListener('online', this.#apply);
+    this.#unsubscribe = cartStore.subscribe((cart) => cart.item_count, this.#apply);
+
+    if (!cartStore.cart) cartStore.refresh().catch((error) => console.error(error));
+  }
+
+  /**
+   * The outcome of the code of the link, null until the cart applies or rejects it
+   * @returns {LinkedDiscountResult | null}
+   */
+  get result() {
+    return this.#result;
+  }
+
+  /**
+   * Remembers the code of a `?discount=CODE` link for the session, and removes it from the URL.
+   */
+  #storeCode() {
+    const url = new URL(window.location.href);
+    const code = url.searchParams.get('discount')?.trim();
+
+    if (!code) return;
+
+    sessionStorage.setItem(DISCOUNT_LINK_KEY, code);
+
+    url.searchParams.delete('discount');
+    history.replaceState(history.state, '', url);
+  }
+
+  /**
+   * Applies the stored code along with the codes already in the cart, once the cart has items.
+   */
+  #apply = async () => {
+    const code = sessionStorage.getItem(DISCOUNT_LINK_KEY);
+    const cart = cartStore.cart;
+
+    if (!code || this.#applying || !navigator.onLine || !cart || cart.item_count === 0) return;
+
+    this.#applying = true;
+
+    try {
+      // The entered codes are only listed in the responses of updates
+      const currentCart = await cartClient.update({}, { silent: true });
+      if (currentCart.pending) return;
+
+      /** @type {string[]} */
+      const codes = (currentCart.discount_codes ?? []).map((/** @type {{ code: string }} */ { code }) => code);
+
+      if (codes.some((existingCode) => existingCode.toLowerCase() === code.toLowerCase())) {
+        return this.#settle({ code, applied: true });
+      }
+
+      const data = await cartClient.update({ discount: [...codes, code].join(',') }, { silent: true });
+      if (data.pending) return;
+
+      if (data.errors || data.status) return this.#settle({ code, applied: false });
+
+      const discount = data.discount_codes?.find(
+        (/** @type {{ code: string, applicable: boolean }} */ discount) =>
+          discount.code.toLowerCase() === code.toLowerCase()
+      );
+
+      if (discount?.applicable === false) {
+        // The cart keeps codes that don't apply, they would be listed as codes that stopped applying
+        await cartClient.update({ discount: codes.join(',') }, { silent: true });
+
+        return this.#settle({ code, applied: false });
+      }
+
+      document.dispatchEvent(new DiscountUpdateEvent(data, ''));
+      this.#settle({ code, applied: true });
+    } catch (error) {
+      // The code is kept to apply it again
+      console.error(error);
+    } finally {
+      this.#applying = false;
+    }
+  };
+
+  /**
+   * Forgets the code once the cart applied or rejected it, and tells the discount forms.
+   * @param {LinkedDiscountResult} result - The outcome of the code.
+   */
+  #settle(result) {
+    sessionStorage.removeItem(DISCOUNT_LINK_KEY);
+    window.removeEventListener('online', this.#apply);
+    this.#unsubscribe?.();
+
+    this.#result = result;
+    document.dispatchEvent(new DiscountLinkEvent(result.code, result.applied));
+  }
+}
+
+export const cartDiscountLink = new CartDiscountLink();
@@ -1,27 +1,74 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
-import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { CartErrorEvent, DiscountLinkEvent, DiscountUpdateEvent, ThemeEvents } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartClient } from '@theme/cart-client';
+import { cartDiscountLink } from '@theme/cart-discount-link';
+import { CartErrorType, getCartErrorMessage, hideCartError, showCartError } from '@theme/cart-errors';
+
+/**
+ * @typedef {'applied' | 'pending' | 'discount_code' | 'shipping'} DiscountResult
+ */
 
 /**
  * A custom element that applies a discount to the cart.
  *
+ * The outcome of the code of a `?discount=CODE` link, applied by `cartDiscountLink`, is shown in the form.
+ *
  * @typedef {Object} CartDiscountComponentRefs
- * @property {HTMLElement} cartDiscountError - The error element.
- * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
- * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {HTMLElement} cartDiscountError - The error element, rendered by the `cart-error` snippet.
+ * @property {HTMLElement} cartDiscountSuccess - The confirmation of a code applied from a link.
  */
 
 /**
  * @extends {Component<CartDiscountComponentRefs>}
  */
 class CartDiscount extends Component {
-  requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
+  requiredRefs = ['cartDiscountError', 'cartDiscountSuccess'];
 
   /** @type {AbortController | null} */
   #activeFetch = null;
 
+  /**
+   * The code applied from a discount link, confirmed until it's removed
+   * @type {string | null}
+   */
+  #linkedDiscountCode = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.discountLink, this.#handleDiscountLink);
+
+    const { result } = cartDiscountLink;
+    if (result) this.#showLinkedDiscountResult(result.code, result.applied);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.discountLink, this.#handleDiscountLink);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart was rendered again, keep the confirmation while the code is applied
+    const code = this.#linkedDiscountCode?.toLowerCase();
+    if (code && !this.#existingDiscounts().some((existingCode) => existingCode.toLowerCase() === code)) {
+      this.#linkedDiscountCode = null;
+    }
+
+    // Shipping discounts are only calculated at checkout, once there's an address
+    if (this.#linkedDiscountCode && this.#discountType(this.#linkedDiscountCode) === 'shipping') {
+      this.#linkedDiscountCode = null;
+      this.#handleDiscountError('shipping');
+      this.#expandDisclosure();
+    }
+
+    this.#renderLinkedDiscountConfirmation();
+  }
+
   #createAbortController() {
     if (this.#activeFetch) {
       this.#activeFetch.abort();
@@ -37,8 +84,6 @@ class CartDiscount extends Component {
    * @param {SubmitEvent} event - The submit event on our form.
    */
   applyDiscount = async (event) => {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-
     event.preventDefault();
     event.stopPropagation();
 
@@ -46,77 +91,103 @@ class CartDiscount extends Component {
     if (!(form instanceof HTMLFormElement)) return;
 
     const discountCode = form.querySelector('input[name="discount"]');
-    if (!(discountCode instanceof HTMLInputElement) || typeof this.dataset.sectionId !== 'string') return;
+    if (!(discountCode instanceof HTMLInputElement)) return;
 
-    const discountCodeValue = discountCode.value;
+    try {
+      const result = await this.#applyCode(discountCode.value);
+
+      if (result) discountCode.value = '';
+    } finally {
+      cartPerformance.measureFromEvent('discount-update:user-action', event);
+    }
+  };
+
+  /**
+   * Applies a discount code along with the existing ones, and renders the cart with it.
+   * @param {string} discountCodeValue - The discount code.
+   * @returns {Promise<DiscountResult | null>} The result, `null` when the code wasn't sent.
+   */
+  async #applyCode(discountCodeValue) {
+    const { cartDiscountError } = this.refs;
+
+    if (typeof this.dataset.sectionId !== 'string') return null;
 
     const abortController = this.#createAbortController();
 
     try {
       const existingDiscounts = this.#existingDiscounts();
-      if (existingDiscounts.includes(discountCodeValue)) return;
+      if (existingDiscounts.includes(discountCodeValue)) return null;
 
-      cartDiscountError.classList.add('hidden');
-      cartDiscountErrorDiscountCode.classList.add('hidden');
-      cartDiscountErrorShipping.classList.add('hidden');
+      hideCartError(cartDiscountError);
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
+      const data = await cartClient.update(
+        { discount: [...existingDiscounts, discountCodeValue].join(',') },
+        { target: this, sections: [this.dataset.sectionId], silent: true, signal: abortController.signal }
+      );
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      // The code is applied once the shopper is back online
+      if (data.pending) {
+        this.#renderPendingPill(discountCodeValue);
+        return 'pending';
+      }
 
       if (
         data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
           return discount.code === discountCodeValue && discount.applicable === false;
         })
       ) {
-        discountCode.value = '';
-        this.#handleDiscountError('discount_code');
-        return;
+        // The cart keeps codes that don't apply, they would be listed as codes that stopped applying
+        await cartClient.update(
+          { discount: existingDiscounts.join(',') },
+          { target: this, silent: true, signal: abortController.signal }
+        );
+
+        this.#handleDiscountError('discount_code', discountCodeValue);
+        return 'discount_code';
       }
 
       const newHtml = data.sections[this.dataset.sectionId];
-      const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
-      const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
-      const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
-      if (section) {
-        const codes = Array.from(discountCodes)
-          .map((element) => (element instanceof HTMLLIElement ? element.dataset.discountCode : null))
-          .filter(Boolean);
-        // Before morphing, we need to check if the shipping discount is applicable in the UI
-        // we check the liquid logic compared to the cart payload to assess whether we leveraged
-        // a valid shipping discount code.
-        if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === discountCodeValue && discount.applicable === true;
-          })
-        ) {
-          this.#handleDiscountError('shipping');
-          discountCode.value = '';
-          return;
-        }
-      }
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, newHtml);
+
+      // Shipping discounts are only calculated at checkout, once there's an address
+      if (this.#discountType(discountCodeValue) === 'shipping') {
+        this.#handleDiscountError('shipping');
+        return 'shipping';
+      }
+
+      return 'applied';
     } catch (error) {
+      return null;
     } finally {
       this.#activeFetch = null;
-      cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
+  }
+
+  /**
+   * Shows the outcome of the code of the discount link the shopper landed from.
+   * @param {DiscountLinkEvent} event - The discount link event.
+   */
+  #handleDiscountLink = (event) => {
+    this.#showLinkedDiscountResult(event.detail.code, event.detail.applied);
   };
 
+  /**
+   * Confirms the code of a discount link was applied, or shows why it wasn't.
+   * @param {string} code - The discount code.
+   * @param {boolean} applied - Whether the code applies to the cart.
+   */
+  #showLinkedDiscountResult(code, applied) {
+    if (applied) {
+      this.#linkedDiscountCode = code;
+      this.#renderLinkedDiscountConfirmation();
+    } else {
+      this.#handleDiscountError('discount_code', code);
+      this.#expandDisclosure();
+    }
+  }
+
   /**
    * Handles removing a discount from the cart.
    * @param {MouseEvent | KeyboardEvent} event - The mouse or keyboard event in our pill.
@@ -149,35 +220,102 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cartClient.update(
+        { discount: existingDiscounts.join(',') },
+        { target: this, sections: [this.dataset.sectionId], silent: true, signal: abortController.signal }
+      );
+
+      // The code is removed once the shopper is back online
+      if (data.pending) {
+        pill.classList.add('cart-discount__pill--pending');
+        return;
+      }
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
     } catch (error) {
+      if (!abortController.signal.aborted) console.error(error);
     } finally {
       this.#activeFetch = null;
     }
   };
 
   /**
-   * Handles the discount error.
+   * Renders a pill for a discount code that will be applied once the shopper is back online.
+   * @param {string} code - The discount code.
+   */
+  #renderPendingPill(code) {
+    const pill = document.createElement('li');
+    pill.className = 'cart-discount__pill cart-discount__pill--pending';
+    pill.dataset.discountCode = code;
+
+    const tag = document.createElement('span');
+    tag.className = 'cart-discount__tag';
+
+    const pillCode = document.createElement('p');
+    pillCode.className = 'cart-discount__pill-code';
+    pillCode.textContent = code;
+
+    tag.append(pillCode);
+    pill.append(tag);
+    this.querySelector('.cart-discount__codes')?.append(pill);
+  }
+
+  /**
+   * Gets how an applied code discounts the cart, from its pill.
+   * @param {string} code - The discount code.
+   * @returns {string | undefined} The discount type: `order`, `line`, `shipping` or `inapplicable`.
+   */
+  #discountType(code) {
+    for (const pill of this.querySelectorAll('.cart-discount__pill')) {
+      if (pill instanceof HTMLLIElement && pill.dataset.discountCode?.toLowerCase() === code.toLowerCase()) {
+        return pill.dataset.discountType;
+      }
+    }
+  }
+
+  /**
+   * Confirms the code from a discount link was applied.
+   */
+  #renderLinkedDiscountConfirmation() {
+    const { cartDiscountSuccess } = this.refs;
+    const code = this.#linkedDiscountCode;
+
+    cartDiscountSuccess.textContent = code ? (cartDiscountSuccess.dataset.message ?? '').replace('[code]', code) : '';
+  }
+
+  /**
+   * Opens the discount disclosure, so an error with a code from a link is seen.
+   */
+  #expandDisclosure() {
+    const disclosure = this.closest('disclosure-custom');
+    const trigger = disclosure?.querySelector('[ref="disclosureTrigger"]');
+
+    if (trigger instanceof HTMLElement && trigger.getAttribute('aria-expanded') === 'false') trigger.click();
+  }
+
+  /**
+   * Handles the discount error. A rejected code is reported as a cart error, a shipping discount is applied but only
+   * shown at checkout.
    *
    * @param {'discount_code' | 'shipping'} type - The type of discount error.
+   * @param {string} [code] - The rejected discount code.
    */
-  #handleDiscountError(type) {
-    const { cartDiscountError, cartDiscountErrorDiscountCode, cartDiscountErrorShipping } = this.refs;
-    const target = type === 'discount_code' ? cartDiscountErrorDiscountCode : cartDiscountErrorShipping;
-    cartDiscountError.classList.remove('hidden');
-    target.classList.remove('hidden');
+  #handleDiscountError(type, code = '') {
+    const { cartDiscountError } = this.refs;
+
+    if (type === 'shipping') {
+      showCartError(cartDiscountError, {
+        type: CartErrorType.invalidDiscount,
+        message: this.dataset.shippingErrorMessage ?? '',
+      });
+      return;
+    }
+
+    const message = getCartErrorMessage(CartErrorType.invalidDiscount);
+
+    showCartError(cartDiscountError, { type: CartErrorType.invalidDiscount, message });
+    this.dispatchEvent(new CartErrorEvent(this.id, message, code, {}, CartErrorType.invalidDiscount));
   }
 
   /**
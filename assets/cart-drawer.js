@@ -1,5 +1,5 @@
 import { DialogComponent } from '@theme/dialog';
-import { CartAddEvent } from '@theme/events';
+import { CartAddEvent, CartUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that manages a cart drawer.
@@ -17,7 +17,18 @@ class CartDrawerComponent extends DialogComponent {
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * @param {Event} event - The cart update event
+   */
+  #handleCartAdd = (event) => {
+    // Add-ons are added from the cart, or kept in sync with it, the drawer isn't opened for them
+    if (
+      (event instanceof CartAddEvent || event instanceof CartUpdateEvent) &&
+      event.detail.data.source === 'cart-add-ons'
+    ) {
+      return;
+    }
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
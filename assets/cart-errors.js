@@ -0,0 +1,115 @@
+/**
+ * @namespace CartErrorType
+ * @description The types cart errors are classified into, each one has its own localized message.
+ */
+export class CartErrorType {
+  /** @static @constant {string} The variant is sold out, or not enough of it is left */
+  static outOfStock = 'out_of_stock';
+  /** @static @constant {string} The quantity is over the limit, or doesn't follow the quantity rules of the variant */
+  static quantityLimit = 'quantity_limit';
+  /** @static @constant {string} The discount code doesn't exist, or can't be applied to the cart */
+  static invalidDiscount = 'invalid_discount';
+  /** @static @constant {string} The request never reached the server */
+  static network = 'network';
+  /** @static @constant {string} The server rejected the request for another reason */
+  static server = 'server';
+}
+
+/**
+ * A classified cart error.
+ *
+ * @typedef {Object} CartError
+ * @property {string} type - One of the {@link CartErrorType} values
+ * @property {string} message - The localized message shown to the shopper
+ * @property {string} [detail] - What the server said about the error, shown under the message
+ */
+
+/**
+ * Matches a quantity other than zero. Titles are quoted in the server messages, their digits are left out first.
+ */
+const QUANTITY_PATTERN = /[1-9]/;
+const QUOTED_PATTERN = /(["'‘“«])[^"'’”»]*["'’”»]/g;
+
+/**
+ * Gets the type of a failed cart request, from its status code and the fields of the response.
+ * @param {any} error - The parsed error response, or the error thrown by the request
+ * @returns {string} One of the {@link CartErrorType} values
+ */
+export function getCartErrorType(error) {
+  // Fetch rejects with a TypeError when the request can't be sent
+  if (error instanceof TypeError) return CartErrorType.network;
+  if (error instanceof Error || !error) return CartErrorType.server;
+
+  // The quantity can't be added, the server says how many can be when there are some left
+  if (error.status === 422) {
+    const detail = getErrorDetail(error)?.replace(QUOTED_PATTERN, '') ?? '';
+
+    return QUANTITY_PATTERN.test(detail) ? CartErrorType.quantityLimit : CartErrorType.outOfStock;
+  }
+
+  return CartErrorType.server;
+}
+
+/**
+ * Gets what the server said about a failed cart request, the `message` field is only a generic title.
+ * @param {any} error - The parsed error response, or the error thrown by the request
+ * @returns {string | undefined} The detail, if the server gave one
+ */
+function getErrorDetail(error) {
+  if (!error || error instanceof Error) return;
+
+  return [error.description, error.errors].find((value) => typeof value === 'string' && value);
+}
+
+/**
+ * Gets the localized message of a cart error type, from the `cart_error_<type>` key of the theme translations.
+ * @param {string} type - One of the {@link CartErrorType} values
+ * @returns {string} The localized message
+ */
+export function getCartErrorMessage(type) {
+  const { translations } = Theme;
+
+  return translations[`cart_error_${type}`] ?? translations.cart_error_server ?? '';
+}
+
+/**
+ * Classifies a failed cart request.
+ * @param {any} error - The parsed error response, or the error thrown by the request
+ * @returns {CartError} The classified error
+ */
+export function getCartError(error) {
+  const type = getCartErrorType(error);
+
+  return { type, message: getCartErrorMessage(type), detail: getErrorDetail(error) };
+}
+
+/**
+ * Shows a cart error in an element rendered by the `cart-error` snippet.
+ * @param {HTMLElement} element - The cart error element
+ * @param {CartError} error - The error to show
+ */
+export function showCartError(element, error) {
+  const message = element.querySelector('.cart-error__message');
+  const detail = element.querySelector('.cart-error__detail');
+
+  if (message) message.textContent = error.message;
+  if (detail) detail.textContent = error.detail ?? '';
+
+  element.dataset.errorType = error.type;
+  element.classList.remove('hidden');
+}
+
+/**
+ * Hides a cart error shown with {@link showCartError}.
+ * @param {HTMLElement} element - The cart error element
+ */
+export function hideCartError(element) {
+  const message = element.querySelector('.cart-error__message');
+  const detail = element.querySelector('.cart-error__detail');
+
+  if (message) message.textContent = '';
+  if (detail) detail.textContent = '';
+
+  delete element.dataset.errorType;
+  element.classList.add('hidden');
+}
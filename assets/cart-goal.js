@@ -0,0 +1,106 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartUpdateEvent, DiscountUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { formatMoneyCents } from '@theme/utilities';
+
+/**
+ * A custom element that displays the progress toward a free shipping threshold or spend goal.
+ *
+ * The goal is set in the store's currency, so it's converted to the currency of the active market and the
+ * progress is rendered on the client.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The progress message.
+ * @property {HTMLProgressElement} progress - The progress bar.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the cart currency.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartGoalComponent extends Component {
+  requiredRefs = ['message', 'progress', 'moneyFormat'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+
+    this.#render(Number(this.dataset.total));
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render(Number(this.dataset.total));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * The goal in the cart currency, in cents.
+   * @returns {number}
+   */
+  get threshold() {
+    const rate = Number(Shopify.currency?.rate) || 1;
+
+    return Math.ceil(Number(this.dataset.threshold) * rate);
+  }
+
+  /**
+   * Renders the progress with the new cart total.
+   * @param {CartUpdateEvent | DiscountUpdateEvent} event - The cart or discount update event.
+   */
+  #handleCartUpdate = async (event) => {
+    const cart = /** @type {{ total_price?: number }} */ (event.detail.resource);
+
+    try {
+      // The add endpoint doesn't return the cart
+      const total = cart?.total_price ?? (await cartStore.refresh())?.total_price;
+
+      if (total != null) this.#render(total);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  /**
+   * Renders the progress toward the goal.
+   * @param {number} total - The cart total, in cents.
+   */
+  #render(total) {
+    const { message, progress } = this.refs;
+    const { threshold } = this;
+
+    if (Number.isNaN(total) || !threshold) return;
+
+    const remaining = Math.max(threshold - total, 0);
+    const isReached = remaining === 0;
+    const template = (isReached ? this.dataset.reachedMessage : this.dataset.remainingMessage) ?? '';
+
+    progress.max = threshold;
+    progress.value = Math.min(total, threshold);
+    message.textContent = template.replace('[amount]', this.#formatMoney(remaining));
+    this.classList.toggle('cart-goal--reached', isReached);
+  }
+
+  /**
+   * Formats an amount with the money format of the cart.
+   * @param {number} cents - The amount in cents.
+   * @returns {string} The formatted amount.
+   */
+  #formatMoney(cents) {
+    const { moneyFormat } = this.refs;
+    const template = moneyFormat.content.textContent?.trim() || '{{amount}}';
+
+    return formatMoneyCents(cents, template, moneyFormat.dataset.currency ?? '');
+  }
+}
+
+if (!customElements.get('cart-goal-component')) {
+  customElements.define('cart-goal-component', CartGoalComponent);
+}
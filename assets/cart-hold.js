@@ -0,0 +1,228 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+import { cartClient } from '@theme/cart-client';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * @typedef {Object} Hold
+ * @property {number} expiresAt - When the hold expires, in milliseconds since the epoch
+ * @property {boolean} expired - Whether the hold expired and its expiry action ran
+ */
+
+const HOLD_KEY = 'cart-hold';
+
+/**
+ * The hold on the items of the cart, for limited releases.
+ *
+ * It starts when the first item is added, and ends when the cart is emptied. It's kept in the local storage, so
+ * every page and tab counts down to the same time.
+ */
+class CartHold {
+  constructor() {
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartAdd);
+    cartStore.subscribe(
+      (cart) => cart.item_count,
+      (itemCount) => {
+        if (itemCount === 0) this.clear();
+      }
+    );
+  }
+
+  /**
+   * The current hold, null when there's none
+   * @returns {Hold | null}
+   */
+  get hold() {
+    try {
+      return JSON.parse(localStorage.getItem(HOLD_KEY) ?? 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Starts a hold, unless one is already counting down
+   */
+  start() {
+    const { hold } = this;
+    if (hold && !hold.expired) return;
+
+    this.#write({ expiresAt: Date.now() + (Theme.cartHold?.duration ?? 0), expired: false });
+  }
+
+  /**
+   * Marks the hold as expired once its time is up
+   * @returns {boolean} Whether this call expired the hold, so the expiry action runs once across the tabs
+   */
+  expire() {
+    const { hold } = this;
+    if (!hold || hold.expired || hold.expiresAt > Date.now()) return false;
+
+    this.#write({ ...hold, expired: true });
+
+    return true;
+  }
+
+  /**
+   * Ends the hold
+   */
+  clear() {
+    localStorage.removeItem(HOLD_KEY);
+  }
+
+  /**
+   * @param {Hold} hold - The hold to store
+   */
+  #write(hold) {
+    localStorage.setItem(HOLD_KEY, JSON.stringify(hold));
+  }
+
+  /**
+   * Starts the hold when an item is added, the cart update event shares the same name
+   * @param {Event} event - The cart update event
+   */
+  #handleCartAdd = (event) => {
+    if (!(event instanceof CartAddEvent) || event.detail.data.didError) return;
+
+    // Add-ons come with the items of the cart, they don't start a hold
+    if (event.detail.data.source === 'cart-add-ons') return;
+
+    this.start();
+  };
+}
+
+export const cartHold = new CartHold();
+
+/**
+ * A custom element that counts down the hold on the items of the cart.
+ *
+ * A warning is announced before the hold expires. Once it expires, a notice is shown or the held lines are removed,
+ * as set in the theme settings.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} timer - The countdown.
+ * @property {HTMLElement} status - The announcement of the warning and the expiry.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartHoldComponent extends Component {
+  requiredRefs = ['timer', 'status'];
+
+  /** @type {number | undefined} */
+  #interval;
+
+  /**
+   * The expiry time of the hold the warning was announced for
+   * @type {number}
+   */
+  #warnedAt = 0;
+
+  /**
+   * The expiry notice, kept after the held lines are removed and the hold ends with the empty cart
+   * @type {string}
+   */
+  #notice = '';
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render();
+    this.#interval = setInterval(this.#render, 1000);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearInterval(this.#interval);
+  }
+
+  /**
+   * The keys of the lines held by the hold
+   * @returns {string[]}
+   */
+  get heldKeys() {
+    try {
+      return JSON.parse(this.dataset.heldKeys || '[]');
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Renders the time left, or the expiry notice.
+   */
+  #render = () => {
+    const { timer, status } = this.refs;
+    const { hold } = cartHold;
+    const { warningMessage = '', remainingMessage = '', expiredMessage = '', clearedMessage = '' } = this.dataset;
+
+    if (hold && !hold.expired) this.#notice = '';
+
+    if (!this.#notice && (!hold || this.heldKeys.length === 0)) {
+      this.hidden = true;
+      return;
+    }
+
+    this.hidden = false;
+
+    const remaining = hold ? hold.expiresAt - Date.now() : 0;
+
+    if (this.#notice || remaining <= 0) {
+      if (cartHold.expire() && this.dataset.expiryAction === 'clear') {
+        this.#notice = clearedMessage;
+        this.#removeHeldLines();
+      }
+
+      const notice = this.#notice || expiredMessage;
+
+      this.dataset.state = 'expired';
+      timer.textContent = notice;
+      if (status.textContent !== notice) status.textContent = notice;
+      return;
+    }
+
+    const time = formatTime(remaining);
+    const isWarning = remaining <= Number(this.dataset.warning) * 1000;
+
+    this.dataset.state = isWarning ? 'warning' : 'active';
+    timer.textContent = remainingMessage.replace('[time]', time);
+
+    if (isWarning && hold && this.#warnedAt !== hold.expiresAt) {
+      this.#warnedAt = hold.expiresAt;
+      status.textContent = warningMessage.replace('[time]', time);
+    }
+  };
+
+  /**
+   * Removes the held lines from the cart.
+   */
+  #removeHeldLines() {
+    const updates = Object.fromEntries(this.heldKeys.map((key) => [key, 0]));
+
+    cartClient
+      .update({ updates }, { target: this, data: { source: 'cart-hold' } })
+      .catch((error) => console.error(error));
+  }
+}
+
+/**
+ * Formats the time left as minutes and seconds, like 09:41.
+ * @param {number} milliseconds - The time left.
+ * @returns {string} The formatted time.
+ */
+function formatTime(milliseconds) {
+  const seconds = Math.ceil(milliseconds / 1000);
+  const minutes = Math.floor(seconds / 60);
+
+  return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+if (!customElements.get('cart-hold-component')) {
+  customElements.define('cart-hold-component', CartHoldComponent);
+}
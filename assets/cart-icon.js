@@ -1,6 +1,6 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that displays a cart icon.
@@ -12,7 +12,7 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
  *
  * @extends {Component<Refs>}
  */
-class CartIcon extends Component {
+export class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
   /** @type {number} */
@@ -24,28 +24,31 @@ class CartIcon extends Component {
     this.refs.cartBubbleCount.textContent = value < 100 ? String(value) : '';
   }
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
-    this.ensureCartBubbleIsCorrect();
+    this.#unsubscribe = cartStore.subscribe((cart) => cart.item_count, this.onItemCountChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe?.();
   }
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Handles changes to the number of items in the cart.
+   * @param {number} itemCount - The number of items in the cart.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+  onItemCountChange = (itemCount) => {
+    // The bubble may already show the count after an optimistic update
+    if (itemCount === this.currentCartCount) return;
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    // The store holds the whole cart, so its count replaces the one shown rather than adding to it
+    this.renderCartBubble(itemCount, false);
   };
 
   /**
@@ -64,43 +67,11 @@ class CartIcon extends Component {
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
-    sessionStorage.setItem(
-      'cart-count',
-      JSON.stringify({
-        value: String(this.currentCartCount),
-        timestamp: Date.now(),
-      })
-    );
-
     if (!animate) return;
     await onAnimationEnd(this.refs.cartBubbleText);
 
     this.refs.cartBubble.classList.remove('cart-bubble--animating');
   };
-
-  /**
-   * Checks if the cart count is correct.
-   */
-  ensureCartBubbleIsCorrect = () => {
-    const sessionStorageCount = sessionStorage.getItem('cart-count');
-    const visibleCount = this.refs.cartBubbleCount.textContent;
-
-    if (sessionStorageCount === visibleCount || sessionStorageCount === null) return;
-
-    try {
-      const { value, timestamp } = JSON.parse(sessionStorageCount);
-
-      if (Date.now() - timestamp < 10000) {
-        const count = parseInt(value, 10);
-
-        if (count >= 0) {
-          this.renderCartBubble(count, false, false);
-        }
-      }
-    } catch (_) {
-      // no-op
-    }
-  };
 }
 
 if (!customElements.get('cart-icon')) {
@@ -1,11 +1,20 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartClient } from '@theme/cart-client';
+import { CartErrorType, getCartError, hideCartError, showCartError } from '@theme/cart-errors';
 
 /**
  * A custom element that displays a cart note.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} error - The error shown when the note can't be saved.
+ *
+ * @extends {Component<Refs>}
  */
 class CartNote extends Component {
+  requiredRefs = ['error'];
+
   /** @type {AbortController | null} */
   #activeFetch = null;
 
@@ -25,15 +34,23 @@ class CartNote extends Component {
     this.#activeFetch = abortController;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      const response = await cartClient.update(
+        { note },
+        { target: this, silent: true, signal: abortController.signal }
+      );
+
+      if (response.pending) {
+        // The note is saved once the shopper is back online
+        showCartError(this.refs.error, { type: CartErrorType.network, message: Theme.translations.cart_offline ?? '' });
+      } else if (response.status) {
+        showCartError(this.refs.error, getCartError(response));
+      } else {
+        hideCartError(this.refs.error);
+      }
     } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      showCartError(this.refs.error, getCartError(error));
     } finally {
       this.#activeFetch = null;
       cartPerformance.measureFromEvent('note-update:user-action', event);
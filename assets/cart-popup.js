@@ -0,0 +1,229 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { formatMoneyCents } from '@theme/utilities';
+
+/** @typedef {import('./cart-store').CartItem} CartItem */
+
+/** Time before the popup closes by itself, in milliseconds. */
+const DISMISS_DELAY = 6000;
+
+/**
+ * A custom element that confirms an item was added to the cart, in a popup under the cart icon.
+ *
+ * It's shown instead of opening the cart drawer. Focus moves into the popup so it can be used with the keyboard, and
+ * it closes by itself unless the shopper is pointing at it or focused inside it.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} popover - The popup.
+ * @property {HTMLImageElement} image - The image of the added item.
+ * @property {HTMLElement} title - The product title of the added item.
+ * @property {HTMLElement} variant - The variant title of the added item.
+ * @property {HTMLElement} quantity - The quantity added.
+ * @property {HTMLElement} subtotal - The cart subtotal.
+ * @property {HTMLElement} itemCount - The number of items in the cart, on the view cart link.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the cart currency.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartPopupComponent extends Component {
+  requiredRefs = ['popover', 'image', 'title', 'variant', 'quantity', 'subtotal', 'itemCount', 'moneyFormat'];
+
+  /** @type {number | undefined} */
+  #dismissTimeout;
+
+  /**
+   * The element focused before the popup opened, focused again when it closes
+   * @type {HTMLElement | null}
+   */
+  #previousFocus = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { popover } = this.refs;
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartAdd);
+    popover.addEventListener('pointerenter', this.#pauseDismiss);
+    popover.addEventListener('pointerleave', this.#scheduleDismiss);
+    popover.addEventListener('focusin', this.#handleFocusIn);
+    popover.addEventListener('focusout', this.#handleFocusOut);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartAdd);
+    clearTimeout(this.#dismissTimeout);
+  }
+
+  /**
+   * Closes the popup, and brings the focus back where it was.
+   */
+  close() {
+    const { popover } = this.refs;
+
+    clearTimeout(this.#dismissTimeout);
+
+    if (!popover.matches(':popover-open')) return;
+
+    const hadFocus = popover.contains(document.activeElement);
+
+    popover.hidePopover();
+
+    if (hadFocus) this.#previousFocus?.focus({ preventScroll: true });
+    this.#previousFocus = null;
+  }
+
+  /**
+   * Closes the popup on Escape.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleKeydown(event) {
+    if (event.key !== 'Escape') return;
+
+    event.preventDefault();
+    this.close();
+  }
+
+  /**
+   * Opens the popup for the item added from a product form, including the one of the quick add.
+   * @param {Event} event - The cart update event, shared with the cart add event.
+   */
+  #handleCartAdd = async (event) => {
+    if (!(event instanceof CartAddEvent)) return;
+
+    const { data, sourceId } = event.detail;
+    if (data.didError || data.source !== 'product-form-component') return;
+
+    try {
+      const cart = await cartStore.refresh();
+      const item = cart?.items.find((item) => String(item.variant_id) === String(sourceId));
+
+      if (!cart || !item) return;
+
+      this.#render(item, Number(data.itemCount) || item.quantity, cart.items_subtotal_price, cart.item_count);
+      this.#open();
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  /**
+   * Renders the added item and the cart subtotal.
+   * @param {CartItem} item - The added line.
+   * @param {number} quantity - The quantity added.
+   * @param {number} subtotal - The cart subtotal, in cents.
+   * @param {number} itemCount - The number of items in the cart.
+   */
+  #render(item, quantity, subtotal, itemCount) {
+    const { image, title, variant, quantity: quantityElement, subtotal: subtotalElement, itemCount: count } = this.refs;
+
+    if (item.image) {
+      const url = new URL(item.image, window.location.origin);
+      url.searchParams.set('width', '120');
+
+      image.src = url.toString();
+      image.hidden = false;
+    } else {
+      image.hidden = true;
+    }
+
+    title.textContent = item.product_title;
+    variant.textContent = item.variant_title ?? '';
+    variant.hidden = !item.variant_title;
+    quantityElement.textContent = (this.dataset.quantityMessage ?? '').replace('[quantity]', String(quantity));
+    subtotalElement.textContent = this.#formatMoney(subtotal);
+    count.textContent = String(itemCount);
+  }
+
+  /**
+   * Shows the popup and moves the focus into it.
+   */
+  #open() {
+    const { popover } = this.refs;
+
+    if (!popover.matches(':popover-open')) {
+      const { activeElement } = document;
+
+      this.#previousFocus = activeElement instanceof HTMLElement ? activeElement : null;
+      this.#updatePosition();
+      popover.showPopover();
+    }
+
+    popover.focus({ preventScroll: true });
+    this.#scheduleDismiss();
+  }
+
+  /**
+   * Positions the popup under the cart icon, for browsers without CSS anchor positioning.
+   */
+  #updatePosition() {
+    if (CSS.supports('position-anchor: --cart-icon')) return;
+
+    const cartIcon = document.querySelector('cart-icon');
+    if (!cartIcon) return;
+
+    const { bottom, right } = cartIcon.getBoundingClientRect();
+
+    this.refs.popover.style.setProperty('--anchor-bottom', `${bottom}`);
+    this.refs.popover.style.setProperty('--anchor-right', `${window.innerWidth - right}`);
+  }
+
+  /**
+   * Closes the popup after a while.
+   */
+  #scheduleDismiss = () => {
+    const { popover } = this.refs;
+
+    clearTimeout(this.#dismissTimeout);
+
+    // The shopper is still using the popup
+    if (popover.matches(':hover')) return;
+
+    this.#dismissTimeout = setTimeout(() => this.close(), DISMISS_DELAY);
+  };
+
+  /**
+   * Stops the popup from closing by itself.
+   */
+  #pauseDismiss = () => {
+    clearTimeout(this.#dismissTimeout);
+  };
+
+  /**
+   * Stops the popup from closing by itself once the shopper moves the focus to one of its controls.
+   * @param {FocusEvent} event - The focusin event.
+   */
+  #handleFocusIn = (event) => {
+    if (event.target !== this.refs.popover) this.#pauseDismiss();
+  };
+
+  /**
+   * Closes the popup after a while once the focus leaves it.
+   * @param {FocusEvent} event - The focusout event.
+   */
+  #handleFocusOut = (event) => {
+    const { popover } = this.refs;
+
+    if (event.relatedTarget instanceof Node && popover.contains(event.relatedTarget)) return;
+
+    this.#scheduleDismiss();
+  };
+
+  /**
+   * Formats an amount with the money format of the cart.
+   * @param {number} cents - The amount in cents.
+   * @returns {string} The formatted amount.
+   */
+  #formatMoney(cents) {
+    const { moneyFormat } = this.refs;
+    const template = moneyFormat.content.textContent?.trim() || '{{amount}}';
+
+    return formatMoneyCents(cents, template, moneyFormat.dataset.currency ?? '');
+  }
+}
+
+if (!customElements.get('cart-popup-component')) {
+  customElements.define('cart-popup-component', CartPopupComponent);
+}
@@ -0,0 +1,154 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartAddEvent } from '@theme/events';
+
+/** The product the recommendations are based on, kept for the session so the cart page shows them too. */
+const PRODUCT_KEY = 'cart-recommendations-product-id';
+
+/**
+ * A custom element that displays complementary products for the product last added to the cart.
+ *
+ * The recommendations are rendered with the Section Rendering API and kept when the cart is rendered again, with
+ * the products already in the cart hidden.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The list of recommended products.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['list'];
+
+  /**
+   * The recommendations markup, by product id
+   * @type {Map<string, string>}
+   */
+  #cachedRecommendations = new Map();
+
+  /**
+   * The id of the product the loaded recommendations are based on
+   * @type {string | null}
+   */
+  #productId = null;
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartAdd);
+    this.#loadRecommendations();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart was rendered again, bring the recommendations back
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartAdd);
+    this.#abortController?.abort();
+  }
+
+  /**
+   * The product last added to the cart, or the most recent cart line
+   * @returns {string | undefined}
+   */
+  get productId() {
+    return sessionStorage.getItem(PRODUCT_KEY) || this.dataset.fallbackProductId;
+  }
+
+  /**
+   * Loads the recommendations for the product that was added.
+   * @param {Event} event - The cart update event.
+   */
+  #handleCartAdd = (event) => {
+    if (!(event instanceof CartAddEvent) || event.detail.data.didError) return;
+
+    // Adding a recommended product keeps the current recommendations
+    if (event.target instanceof Node && this.contains(event.target)) return;
+
+    const { productId } = event.detail.data;
+    if (!productId) return;
+
+    sessionStorage.setItem(PRODUCT_KEY, productId);
+    this.#loadRecommendations();
+  };
+
+  /**
+   * Loads the complementary products of the product last added to the cart
+   */
+  async #loadRecommendations() {
+    const { productId } = this;
+    const { url, sectionId } = this.dataset;
+
+    if (!productId || !url || !sectionId) return;
+
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+
+    try {
+      let recommendations = this.#cachedRecommendations.get(productId);
+
+      if (recommendations == null) {
+        const response = await fetch(`${url}&product_id=${productId}&section_id=${sectionId}`, {
+          signal: this.#abortController.signal,
+        });
+
+        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+        const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const list = html.getElementById(this.id)?.querySelector('[ref="list"]');
+
+        recommendations = list?.innerHTML.trim() ?? '';
+        this.#cachedRecommendations.set(productId, recommendations);
+      }
+
+      this.#productId = productId;
+      this.#render();
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+
+      console.error('Cart recommendations error:', error.message);
+    }
+  }
+
+  /**
+   * Renders the loaded recommendations, without the products already in the cart
+   */
+  #render() {
+    const { list } = this.refs;
+    const recommendations = this.#productId && this.#cachedRecommendations.get(this.#productId);
+
+    if (!recommendations) {
+      this.hidden = true;
+      return;
+    }
+
+    if (list.dataset.recommendationsFor !== this.#productId) {
+      list.innerHTML = recommendations;
+      list.dataset.recommendationsFor = this.#productId ?? '';
+    }
+
+    const cartProductIds = new Set(this.dataset.cartProductIds?.split(','));
+    const maxProducts = Number(this.dataset.maxProducts) || Infinity;
+    let visibleCount = 0;
+
+    for (const item of list.querySelectorAll(':scope > [data-product-id]')) {
+      if (!(item instanceof HTMLElement)) continue;
+
+      item.hidden = cartProductIds.has(item.dataset.productId ?? '') || visibleCount >= maxProducts;
+      if (!item.hidden) visibleCount++;
+    }
+
+    this.hidden = visibleCount === 0;
+  }
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
@@ -0,0 +1,61 @@
+import { Component } from '@theme/component';
+import { QRCode } from '@theme/qr-code-generator';
+
+/**
+ * A custom element that shares the cart as a permalink, with a QR code to open it on another device.
+ *
+ * The permalink is rendered with the cart, so it stays up to date when the cart is rendered again.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDetailsElement} details - The share panel.
+ * @property {HTMLElement} qrCode - The QR code container.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartShareComponent extends Component {
+  requiredRefs = ['details', 'qrCode'];
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart was rendered again, the QR code has to be drawn for the new permalink
+    if (this.refs.details.open) this.#renderQRCode();
+  }
+
+  /**
+   * Draws the QR code when the panel opens.
+   */
+  handleToggle() {
+    if (this.refs.details.open) this.#renderQRCode();
+  }
+
+  /**
+   * Draws the QR code of the cart permalink.
+   */
+  #renderQRCode() {
+    const { qrCode } = this.refs;
+    const { url = '' } = this.dataset;
+
+    qrCode.replaceChildren();
+
+    try {
+      new QRCode(qrCode, {
+        text: url,
+        width: 160,
+        height: 160,
+        alt: qrCode.dataset.alt ?? '',
+        correctLevel: QRCode.CorrectLevel.M,
+      });
+
+      qrCode.hidden = false;
+    } catch (error) {
+      // The permalink of a large cart doesn't fit in a QR code, it can still be copied
+      qrCode.hidden = true;
+      console.warn('Cart share QR code error:', error.message);
+    }
+  }
+}
+
+if (!customElements.get('cart-share-component')) {
+  customElements.define('cart-share-component', CartShareComponent);
+}
@@ -0,0 +1,378 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { getActiveCountryCode } from '@theme/localization';
+import { formatMoneyCents } from '@theme/utilities';
+
+/**
+ * A shipping rate of the Cart AJAX API
+ *
+ * @typedef {Object} ShippingRate
+ * @property {string} name - The name of the rate
+ * @property {string} price - The price of the rate, in the cart currency
+ * @property {[number, number] | null} [delivery_days] - The minimum and maximum business days to deliver
+ */
+
+/**
+ * @typedef {Object} ShippingAddress
+ * @property {string} country - The ISO code of the country
+ * @property {string} province - The province, empty when the country has none
+ * @property {string} zip - The zip or postal code
+ */
+
+/**
+ * @typedef {{ state: 'idle' | 'loading' } | { state: 'error', message: string } | { state: 'rates', rates: ShippingRate[] }} EstimateState
+ */
+
+/** Time between two polls of the shipping rates, in milliseconds. */
+const POLL_INTERVAL = 500;
+
+/** The number of polls before the estimate gives up. */
+const MAX_POLLS = 20;
+
+/**
+ * A custom element that estimates the shipping rates of the cart for an address.
+ *
+ * The rates are calculated asynchronously by Shopify, so they're prepared first and polled until they're ready.
+ * The estimate is updated when the cart changes.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLSelectElement} country - The country field, its values are the ISO codes of the countries.
+ * @property {HTMLTemplateElement} countryOptions - The country options of the Cart API, with their provinces.
+ * @property {HTMLSelectElement} province - The province field.
+ * @property {HTMLElement} provinceField - The wrapper of the province field.
+ * @property {HTMLInputElement} zip - The zip field.
+ * @property {HTMLButtonElement} submitButton - The estimate button.
+ * @property {HTMLElement} status - The loading and error message.
+ * @property {HTMLUListElement} rates - The list of rates.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the cart currency.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartShippingEstimatorComponent extends Component {
+  requiredRefs = [
+    'country',
+    'countryOptions',
+    'province',
+    'provinceField',
+    'zip',
+    'submitButton',
+    'status',
+    'rates',
+    'moneyFormat',
+  ];
+
+  /**
+   * The last estimated address
+   * @type {ShippingAddress | null}
+   */
+  #address = null;
+
+  /** @type {EstimateState} */
+  #state = { state: 'idle' };
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#prefillCountry();
+    this.#renderProvinces();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart was rendered again, bring back the address and the estimate
+    if (this.#address) {
+      const { country, province, zip } = this.refs;
+
+      country.value = this.#address.country;
+      this.#renderProvinces();
+      province.value = this.#address.province;
+      zip.value = this.#address.zip;
+    } else {
+      this.#prefillCountry();
+      this.#renderProvinces();
+    }
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Lists the provinces of the selected country.
+   */
+  handleCountryChange() {
+    this.#renderProvinces();
+  }
+
+  /**
+   * Estimates the shipping rates for the entered address.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const { country, province, provinceField, zip } = this.refs;
+
+    this.#address = {
+      country: country.value,
+      province: provinceField.hidden ? '' : province.value,
+      zip: zip.value.trim(),
+    };
+
+    this.#estimate(this.#address);
+  }
+
+  /**
+   * Estimates the rates again, the cart contents change them.
+   */
+  #handleCartUpdate = () => {
+    if (this.#address) this.#estimate(this.#address);
+  };
+
+  /**
+   * Prepares the shipping rates for an address, and polls them until they're calculated.
+   * @param {ShippingAddress} address - The shipping address.
+   */
+  async #estimate(address) {
+    this.#abortController?.abort();
+
+    const abortController = new AbortController();
+    this.#abortController = abortController;
+    const { signal } = abortController;
+
+    const params = new URLSearchParams({
+      'shipping_address[country]': this.#findCountryOption(address.country)?.value ?? address.country,
+      'shipping_address[province]': address.province,
+      'shipping_address[zip]': address.zip,
+    });
+
+    this.#setState({ state: 'loading' });
+
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}/prepare_shipping_rates.json?${params}`, {
+        method: 'POST',
+        headers: { Accept: 'application/json' },
+        signal,
+      });
+
+      if (!response.ok) throw new ShippingRatesError(await getErrorMessage(response, this.dataset));
+
+      const rates = await this.#pollRates(params, signal);
+
+      this.#setState({ state: 'rates', rates });
+    } catch (error) {
+      if (signal.aborted) return;
+
+      const message = error instanceof ShippingRatesError && error.message ? error.message : this.dataset.errorMessage;
+
+      this.#setState({ state: 'error', message: message ?? '' });
+
+      if (!(error instanceof ShippingRatesError)) console.error(error);
+    } finally {
+      if (this.#abortController === abortController) this.#abortController = null;
+    }
+  }
+
+  /**
+   * Polls the rates being calculated for an address.
+   * @param {URLSearchParams} params - The address parameters.
+   * @param {AbortSignal} signal - The abort signal.
+   * @returns {Promise<ShippingRate[]>} The shipping rates.
+   */
+  async #pollRates(params, signal) {
+    for (let poll = 0; poll < MAX_POLLS; poll++) {
+      const response = await fetch(`${Theme.routes.cart_url}/async_shipping_rates.json?${params}`, {
+        headers: { Accept: 'application/json' },
+        signal,
+      });
+
+      if (!response.ok) throw new ShippingRatesError(await getErrorMessage(response, this.dataset));
+
+      // The response is empty until the rates are calculated
+      const result = await response.json();
+      if (result?.shipping_rates) return result.shipping_rates;
+
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+      signal.throwIfAborted();
+    }
+
+    throw new Error('Shipping rates timed out');
+  }
+
+  /**
+   * Updates the estimate and renders it.
+   * @param {EstimateState} state - The new state.
+   */
+  #setState(state) {
+    this.#state = state;
+    this.#render();
+  }
+
+  /**
+   * Renders the loading state, the error or the rates.
+   */
+  #render() {
+    const { status, rates, submitButton } = this.refs;
+    const state = this.#state;
+
+    submitButton.disabled = state.state === 'loading';
+    submitButton.setAttribute('aria-busy', String(state.state === 'loading'));
+    status.dataset.state = state.state;
+    rates.replaceChildren();
+
+    if (state.state === 'loading') {
+      status.textContent = this.dataset.loadingMessage ?? '';
+    } else if (state.state === 'error') {
+      status.textContent = state.message;
+    } else if (state.state === 'rates') {
+      status.textContent = (state.rates.length > 0 ? this.dataset.ratesMessage : this.dataset.noRatesMessage) ?? '';
+
+      for (const rate of state.rates) {
+        rates.append(this.#renderRate(rate));
+      }
+    } else {
+      status.textContent = '';
+    }
+
+    rates.hidden = rates.childElementCount === 0;
+  }
+
+  /**
+   * Renders a shipping rate with its delivery estimate.
+   * @param {ShippingRate} rate - The shipping rate.
+   * @returns {HTMLLIElement} The rate list item.
+   */
+  #renderRate(rate) {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    const price = document.createElement('span');
+    const cents = Math.round(Number(rate.price) * 100);
+
+    item.className = 'cart-shipping-estimator__rate';
+    name.className = 'cart-shipping-estimator__rate-name';
+    price.className = 'cart-shipping-estimator__rate-price';
+
+    name.textContent = rate.name;
+    price.textContent = cents === 0 ? (this.dataset.freeMessage ?? '') : this.#formatMoney(cents);
+    item.append(name, price);
+
+    const [minDays, maxDays] = rate.delivery_days ?? [];
+
+    if (minDays != null && maxDays != null) {
+      const delivery = document.createElement('span');
+      const { deliveryOneDay, deliveryDay, deliveryDays } = this.dataset;
+      const template = (minDays !== maxDays ? deliveryDays : minDays === 1 ? deliveryOneDay : deliveryDay) ?? '';
+
+      delivery.className = 'cart-shipping-estimator__rate-delivery';
+      delivery.textContent = template.replace('[min]', String(minDays)).replace('[max]', String(maxDays));
+      item.append(delivery);
+    }
+
+    return item;
+  }
+
+  /**
+   * Selects the country of the active localization, the shopper most likely ships there.
+   */
+  #prefillCountry() {
+    const { country } = this.refs;
+    const countryCode = getActiveCountryCode();
+    const option = Array.from(country.options).find((option) => option.value === countryCode);
+
+    if (option) country.value = option.value;
+  }
+
+  /**
+   * Finds the Cart API option of a country, it has the same name as the option of the country field.
+   * @param {string} countryCode - The ISO code of the country.
+   * @returns {HTMLOptionElement | undefined} The option.
+   */
+  #findCountryOption(countryCode) {
+    const { country, countryOptions } = this.refs;
+    const name = Array.from(country.options)
+      .find((option) => option.value === countryCode)
+      ?.text.trim();
+
+    if (!name) return;
+
+    return Array.from(countryOptions.content.querySelectorAll('option')).find((option) => option.text.trim() === name);
+  }
+
+  /**
+   * Lists the provinces of the selected country, and hides the field when it has none.
+   */
+  #renderProvinces() {
+    const { country, province, provinceField } = this.refs;
+    const selectedProvince = province.value;
+
+    /** @type {[string, string][]} */
+    let provinces = [];
+
+    try {
+      provinces = JSON.parse(this.#findCountryOption(country.value)?.dataset.provinces || '[]');
+    } catch {
+      // The country has no provinces
+    }
+
+    province.replaceChildren(
+      ...provinces.map(([value, label]) => new Option(label, value, false, value === selectedProvince))
+    );
+    provinceField.hidden = provinces.length === 0;
+  }
+
+  /**
+   * Formats an amount with the money format of the cart.
+   * @param {number} cents - The amount in cents.
+   * @returns {string} The formatted amount.
+   */
+  #formatMoney(cents) {
+    const { moneyFormat } = this.refs;
+    const template = moneyFormat.content.textContent?.trim() || '{{amount}}';
+
+    return formatMoneyCents(cents, template, moneyFormat.dataset.currency ?? '');
+  }
+}
+
+/**
+ * An error of the shipping rates endpoints, its message can be shown to the shopper.
+ */
+class ShippingRatesError extends Error {}
+
+/**
+ * Gets the message of an error response. The messages of the endpoints aren't translated, so the invalid fields get
+ * the translated message of the field, and the other errors the generic one.
+ * @param {Response} response - The error response.
+ * @param {DOMStringMap} dataset - The data attributes holding the translated messages.
+ * @returns {Promise<string>} The error message.
+ */
+async function getErrorMessage(response, dataset) {
+  const fieldMessages = new Map([
+    ['country', dataset.countryErrorMessage],
+    ['province', dataset.provinceErrorMessage],
+    ['zip', dataset.zipErrorMessage],
+  ]);
+
+  try {
+    /** @type {Record<string, string[] | string>} */
+    const errors = await response.json();
+    const messages = Object.keys(errors).map((field) => fieldMessages.get(field) ?? dataset.errorMessage ?? '');
+
+    return Array.from(new Set(messages)).join(' ');
+  } catch {
+    return '';
+  }
+}
+
+if (!customElements.get('cart-shipping-estimator-component')) {
+  customElements.define('cart-shipping-estimator-component', CartShippingEstimatorComponent);
+}
@@ -0,0 +1,170 @@
+/**
+ * @typedef {Object} CartDiscountAllocation
+ * @property {number} amount - The amount discounted, in cents
+ * @property {{ title: string, type: string, value_type: string }} discount_application - The discount applied
+ */
+
+/**
+ * @typedef {Object} CartItem
+ * @property {number} id - The variant id
+ * @property {string} key - The line item key
+ * @property {number} quantity - The quantity
+ * @property {number} variant_id - The variant id
+ * @property {number} product_id - The product id
+ * @property {string} title - The line item title
+ * @property {string} product_title - The product title
+ * @property {string | null} variant_title - The variant title, null for a product without variants
+ * @property {string | null} image - The image URL of the line
+ * @property {string} url - The URL of the variant
+ * @property {number} final_price - The price per unit after discounts, in cents
+ * @property {number} final_line_price - The price of the line after discounts, in cents
+ * @property {Record<string, string> | null} properties - The line item properties
+ * @property {CartDiscountAllocation[]} line_level_discount_allocations - The discounts applied to the line
+ * @property {{ selling_plan: { id: number, name: string } } | null} [selling_plan_allocation] - The selling plan of the line
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token
+ * @property {string | null} note - The cart note
+ * @property {Record<string, string>} attributes - The cart attributes
+ * @property {number} item_count - The number of items in the cart
+ * @property {number} original_total_price - The total before discounts, in cents
+ * @property {number} total_price - The total after discounts, in cents
+ * @property {number} items_subtotal_price - The total of the line items after their discounts, in cents
+ * @property {number} total_discount - The total discounted, in cents
+ * @property {string} currency - The ISO code of the cart currency
+ * @property {CartItem[]} items - The line items
+ * @property {{ title: string, total_allocated_amount: number }[]} cart_level_discount_applications - The discounts applied to the whole cart
+ * @property {{ code: string, applicable: boolean }[]} [discount_codes] - The discount codes, only on update responses
+ */
+
+/**
+ * @template T
+ * @typedef {Object} CartSubscription
+ * @property {(cart: Cart) => T} selector - Selects the slice of the cart the subscriber watches
+ * @property {(value: T, cart: Cart) => void} callback - Called when the slice changes
+ * @property {T | undefined} value - The last value the subscriber was called with
+ */
+
+/**
+ * Holds the state of the cart on the client.
+ *
+ * It's updated from every cart response so components can read the cart, or subscribe to the slice they need,
+ * instead of parsing it out of section markup.
+ *
+ * @example
+ * cartStore.subscribe((cart) => cart.item_count, (itemCount) => console.log(itemCount));
+ */
+class CartStore {
+  /** @type {Cart | null} */
+  #cart = null;
+
+  /** @type {Set<CartSubscription<any>>} */
+  #subscriptions = new Set();
+
+  /**
+   * Incremented on every update, so a refresh that resolves after a newer update is discarded
+   * @type {number}
+   */
+  #version = 0;
+
+  constructor() {
+    window.addEventListener('pageshow', this.#refreshIfRestored);
+  }
+
+  /**
+   * The current cart, null until the first cart response
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Replaces the cart state and notifies the subscribers whose slice changed
+   * @param {Cart & { sections?: Record<string, string> }} cart - The cart returned by the Cart API
+   */
+  set(cart) {
+    const { sections, ...state } = cart;
+
+    this.#version++;
+    this.#cart = state;
+
+    for (const subscription of this.#subscriptions) {
+      this.#notify(subscription);
+    }
+  }
+
+  /**
+   * Fetches the cart and updates the state
+   * @returns {Promise<Cart | null>} The cart
+   */
+  async refresh() {
+    const version = this.#version;
+    const response = await fetch(`${Theme.routes.cart_url}.js`);
+    const cart = await response.json();
+
+    if (version === this.#version) this.set(cart);
+
+    return this.#cart;
+  }
+
+  /**
+   * Subscribes to a slice of the cart. The callback is called right away if the cart is known.
+   * @template T
+   * @param {(cart: Cart) => T} selector - Selects the slice of the cart to watch
+   * @param {(value: T, cart: Cart) => void} callback - Called with the new slice when it changes
+   * @returns {() => void} A function that unsubscribes
+   */
+  subscribe(selector, callback) {
+    /** @type {CartSubscription<T>} */
+    const subscription = { selector, callback, value: undefined };
+
+    this.#subscriptions.add(subscription);
+    this.#notify(subscription);
+
+    return () => this.#subscriptions.delete(subscription);
+  }
+
+  /**
+   * Refreshes the cart when the page comes from the history, its markup may show a cart that changed since.
+   * @param {PageTransitionEvent} event - The page show event
+   */
+  #refreshIfRestored = (event) => {
+    const [navigation] = /** @type {PerformanceNavigationTiming[]} */ (performance.getEntriesByType('navigation'));
+
+    if (event.persisted || navigation?.type === 'back_forward') {
+      this.refresh().catch((error) => console.error(error));
+    }
+  };
+
+  /**
+   * Calls a subscriber if its slice of the cart changed
+   * @param {CartSubscription<any>} subscription - The subscription
+   */
+  #notify(subscription) {
+    if (!this.#cart) return;
+
+    const value = subscription.selector(this.#cart);
+    if (isEqual(value, subscription.value)) return;
+
+    subscription.value = value;
+    subscription.callback(value, this.#cart);
+  }
+}
+
+/**
+ * Compares two slices of the cart
+ * @param {unknown} a - The first value
+ * @param {unknown} b - The second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object') return false;
+
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export const cartStore = new CartStore();
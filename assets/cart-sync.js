@@ -0,0 +1,48 @@
+import { ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { cartStore } from '@theme/cart-store';
+import { debounce } from '@theme/utilities';
+
+const CHANNEL_NAME = 'theme:cart';
+
+/**
+ * Keeps the cart in sync across the open tabs of the store.
+ *
+ * Every cart update in this tab is broadcast to the other tabs, which re-render their cart sections and refresh the
+ * cart store, which the cart bubble follows.
+ */
+class CartSync {
+  /** @type {BroadcastChannel} */
+  #channel = new BroadcastChannel(CHANNEL_NAME);
+
+  constructor() {
+    document.addEventListener(ThemeEvents.cartUpdate, this.#broadcast);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#broadcast);
+    this.#channel.addEventListener('message', this.#handleMessage);
+  }
+
+  /**
+   * Notifies the other tabs that the cart changed.
+   */
+  #broadcast = () => {
+    this.#channel.postMessage(ThemeEvents.cartUpdate);
+  };
+
+  /**
+   * Renders the cart again when another tab changed it.
+   * Debounced so a burst of updates in the other tab only renders once.
+   */
+  #handleMessage = debounce(() => {
+    for (const cartItems of document.querySelectorAll('cart-items-component')) {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) {
+        sectionRenderer.renderSection(cartItems.dataset.sectionId, { cache: false });
+      }
+    }
+
+    cartStore.refresh().catch((error) => console.error(error));
+  }, 100);
+}
+
+if ('BroadcastChannel' in window) {
+  new CartSync();
+}
@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { debounce, formatMoneyCents, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -9,8 +9,36 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartClient } from '@theme/cart-client';
+import { getCartError, showCartError } from '@theme/cart-errors';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-icon').CartIcon} CartIcon */
+
+/**
+ * The state of a line before an optimistic update, used to roll it back.
+ *
+ * @typedef {object} OptimisticSnapshot
+ * @property {HTMLTableRowElement} row - The cart item row.
+ * @property {string} quantity - The previous line quantity.
+ * @property {TextComponent | undefined} price - The line price element.
+ * @property {string} priceHTML - The previous line price markup.
+ * @property {Map<CartIcon, number>} cartCounts - The previous count of each cart bubble.
+ */
+
+/**
+ * A line removed from the cart, kept to add it back if the shopper undoes the removal.
+ *
+ * @typedef {object} RemovedLine
+ * @property {string} variantId - The variant id.
+ * @property {string} quantity - The line quantity.
+ * @property {Record<string, string>} properties - The line item properties.
+ * @property {string | undefined} sellingPlan - The selling plan id.
+ * @property {string} message - The message shown while the removal can be undone.
+ */
+
+/** How long the removal of a line can be undone, in milliseconds. */
+const UNDO_DURATION = 10000;
 
 /**
  * A custom element that displays a cart items component.
@@ -18,13 +46,34 @@ import { cartPerformance } from '@theme/performance';
  * @typedef {object} Refs
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
+ * @property {TextComponent[]} cartItemPrices - The cart item line prices.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLTemplateElement} [moneyFormat] - The shop's money format.
+ * @property {HTMLElement} [undoToast] - The toast to undo the removal of a line.
+ * @property {HTMLElement} [undoMessage] - The message of the undo toast.
+ * @property {HTMLButtonElement} [undoButton] - The undo button.
+ * @property {HTMLElement} [undoLiveRegion] - The live region announcing removed lines.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * The number of quantity changes waiting for a response.
+   * @type {number}
+   */
+  #pendingUpdates = 0;
+
+  /**
+   * The last removed line, while its removal can be undone.
+   * @type {RemovedLine | null}
+   */
+  #removedLine = null;
+
+  /** @type {number | undefined} */
+  #undoTimeout;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -38,6 +87,14 @@ class CartItemsComponent extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    clearTimeout(this.#undoTimeout);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The cart was rendered again, keep showing the undo toast
+    this.#renderUndoToast();
   }
 
   /**
@@ -58,12 +115,6 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
-
-    if (!lineItemRow) return;
-
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
   }
 
   /**
@@ -71,14 +122,17 @@ class CartItemsComponent extends Component {
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
+    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const removedLine = cartItemRowToRemove && this.#showUndo(cartItemRowToRemove);
+
     this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
+    }).then((isUpdated) => {
+      if (!isUpdated && removedLine === this.#removedLine) this.#hideUndo();
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
-
     if (!cartItemRowToRemove) return;
 
     const rowsToRemove = [
@@ -103,78 +157,237 @@ class CartItemsComponent extends Component {
 
   /**
    * Updates the quantity.
+   *
+   * The line and the cart bubble are updated right away and rolled back if the server rejects the change.
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the change was applied, or queued while offline.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+    const snapshot = this.#applyOptimisticUpdate(line, quantity);
+    this.#pendingUpdates++;
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
+    return cartClient
+      .change({ line, quantity }, { target: this, sourceId: this.sectionId, data: { source: 'cart-items-component' } })
       .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
-        resetShimmer(this);
-
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
+        // The change is sent once the shopper is back online, keep showing it until then
+        if (response.pending) {
+          snapshot?.row.classList.add('cart-items__table-row--pending');
+          return true;
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+        if (response.errors || response.status) {
+          const isLineRendered = this.#rollbackOptimisticUpdate(snapshot);
+          if (isLineRendered) this.#handleCartError(line, getCartError(response));
+          return false;
+        }
 
-        this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
+        // A newer change is already queued, its response will carry the latest cart
+        if (this.#pendingUpdates === 1) morphSection(this.sectionId, response.sections[this.sectionId]);
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        return true;
       })
       .catch((error) => {
+        const isLineRendered = this.#rollbackOptimisticUpdate(snapshot);
+        if (isLineRendered) this.#handleCartError(line, getCartError(error));
         console.error(error);
+        return false;
       })
       .finally(() => {
-        this.#enableCartItems();
+        this.#pendingUpdates--;
+        if (this.#pendingUpdates === 0) resetShimmer(this);
+
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
 
+  /**
+   * Adds the last removed line back to the cart, with the same variant, quantity and properties.
+   */
+  undoLineItemRemove() {
+    const removedLine = this.#removedLine;
+
+    if (!removedLine) return;
+
+    this.#hideUndo();
+
+    const formData = new FormData();
+    formData.append('id', removedLine.variantId);
+    formData.append('quantity', removedLine.quantity);
+    if (removedLine.sellingPlan) formData.append('selling_plan', removedLine.sellingPlan);
+
+    for (const [name, value] of Object.entries(removedLine.properties)) {
+      formData.append(`properties[${name}]`, value);
+    }
+
+    cartClient
+      .add(formData, { target: this, sourceId: this.sectionId, data: { source: 'cart-items-component' } })
+      .then((response) => {
+        if (response.status) {
+          if (this.refs.undoLiveRegion) this.refs.undoLiveRegion.textContent = response.message;
+          return;
+        }
+
+        if (response.sections?.[this.sectionId]) morphSection(this.sectionId, response.sections[this.sectionId]);
+      })
+      .catch((error) => console.error(error));
+  }
+
+  /**
+   * Shows the undo toast for a line that's being removed, and announces it to screen readers.
+   * @param {HTMLTableRowElement} row - The row of the removed line.
+   * @returns {RemovedLine} The removed line.
+   */
+  #showUndo(row) {
+    const { variantId = '', quantity = '0', properties = '{}', sellingPlan, removedMessage = '' } = row.dataset;
+    const hadFocus = row.contains(document.activeElement);
+
+    /** @type {RemovedLine} */
+    const removedLine = {
+      variantId,
+      quantity,
+      properties: JSON.parse(properties),
+      sellingPlan,
+      message: removedMessage,
+    };
+
+    this.#removedLine = removedLine;
+    this.#renderUndoToast();
+
+    // Announced once, the visible toast isn't a live region as it's rendered again with the cart
+    if (this.refs.undoLiveRegion) this.refs.undoLiveRegion.textContent = row.dataset.removedAnnouncement ?? '';
+
+    // The remove button is gone, so focus moves to the undo button
+    if (hadFocus) this.refs.undoButton?.focus();
+
+    clearTimeout(this.#undoTimeout);
+    this.#undoTimeout = setTimeout(() => this.#hideUndo(), UNDO_DURATION);
+
+    return removedLine;
+  }
+
+  /**
+   * Hides the undo toast once the removal can't be undone anymore.
+   */
+  #hideUndo() {
+    clearTimeout(this.#undoTimeout);
+    this.#removedLine = null;
+    this.#renderUndoToast();
+
+    if (this.refs.undoLiveRegion) this.refs.undoLiveRegion.textContent = '';
+  }
+
+  /**
+   * Renders the undo toast for the last removed line.
+   */
+  #renderUndoToast() {
+    const { undoToast, undoMessage } = this.refs;
+
+    if (!undoToast || !undoMessage) return;
+
+    undoToast.hidden = !this.#removedLine;
+    undoMessage.textContent = this.#removedLine?.message ?? '';
+  }
+
+  /**
+   * Renders the new line quantity, line price and cart count before the server responds.
+   * @param {number} line - The line.
+   * @param {number} quantity - The new quantity.
+   * @returns {OptimisticSnapshot | undefined} The state to restore if the change fails.
+   */
+  #applyOptimisticUpdate(line, quantity) {
+    const row = this.refs.cartItemRows[line - 1];
+    const price = this.refs.cartItemPrices?.[line - 1];
+
+    if (!row) return;
+
+    /** @type {OptimisticSnapshot} */
+    const snapshot = {
+      row,
+      quantity: row.dataset.quantity ?? '0',
+      price,
+      priceHTML: price?.innerHTML ?? '',
+      cartCounts: new Map(),
+    };
+
+    const delta = quantity - Number(snapshot.quantity);
+    row.dataset.quantity = String(quantity);
+
+    const finalPrice = Number(row.dataset.finalPrice);
+    const formattedPrice = this.#formatMoney(finalPrice * quantity);
+
+    if (price && formattedPrice) {
+      price.innerHTML = formattedPrice;
+      price.setAttribute('value', price.textContent?.trim() ?? '');
+    }
+
+    for (const cartIcon of /** @type {NodeListOf<CartIcon>} */ (document.querySelectorAll('cart-icon'))) {
+      const count = cartIcon.currentCartCount;
+
+      // The bubble doesn't show counts above 99, the server response will correct it
+      if (Number.isNaN(count)) continue;
+
+      snapshot.cartCounts.set(cartIcon, count);
+      cartIcon.renderCartBubble(Math.max(count + delta, 0), false);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Restores the state of a line after a failed optimistic update.
+   * @param {OptimisticSnapshot | undefined} snapshot - The state before the update.
+   * @returns {boolean} Whether the line is still rendered, false if it has to be rendered again.
+   */
+  #rollbackOptimisticUpdate(snapshot) {
+    if (!snapshot) return true;
+
+    const { row, quantity, price, priceHTML, cartCounts } = snapshot;
+    const isLineRendered = row.isConnected && !row.classList.contains('removing');
+
+    // The row is being animated out, render the cart again once it's gone to bring it back
+    if (!isLineRendered) {
+      onAnimationEnd(row, () => sectionRenderer.renderSection(this.sectionId, { cache: false }));
+    }
+
+    row.dataset.quantity = quantity;
+
+    if (price) {
+      price.innerHTML = priceHTML;
+      price.setAttribute('value', price.textContent?.trim() ?? '');
+    }
+
+    for (const [cartIcon, count] of cartCounts) {
+      cartIcon.renderCartBubble(count, false, false);
+    }
+
+    return isLineRendered;
+  }
+
+  /**
+   * Formats an amount with the money format of the cart.
+   * @param {number} cents - The amount in cents.
+   * @returns {string | undefined} The formatted amount.
+   */
+  #formatMoney(cents) {
+    const { moneyFormat } = this.refs;
+
+    if (!moneyFormat || Number.isNaN(cents)) return;
+
+    const template = moneyFormat.content.textContent?.trim() || '{{amount}}';
+
+    return formatMoneyCents(cents, template, moneyFormat.dataset.currency ?? '');
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -186,10 +399,9 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {import('./cart-errors').CartError} error - The classified error.
    */
-  #handleCartError = (line, parsedResponseText) => {
+  #handleCartError = (line, error) => {
     const quantitySelector = this.refs.quantitySelectors[line - 1];
     const quantityInput = quantitySelector?.querySelector('input');
 
@@ -203,7 +415,7 @@ class CartItemsComponent extends Component {
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    showCartError(cartItemError, error);
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -227,20 +439,6 @@ class CartItemsComponent extends Component {
     }
   };
 
-  /**
-   * Disables the cart items.
-   */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
-  }
-
-  /**
-   * Enables the cart items.
-   */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
-  }
-
   /**
    * Gets the section id.
    * @returns {string} The section id.
@@ -75,14 +75,7 @@ class QuantitySelectorComponent extends Component {
    * Checks the quantity rules are met
    */
   #checkQuantityRules = () => {
-    const { quantityInput } = this.refs;
-    const { min, max, value: newValue } = quantityInput;
-    const minInt = parseInt(min);
-    const maxInt = parseInt(max);
-    const newValueInt = parseInt(newValue);
-
-    if (newValueInt < minInt && min) quantityInput.value = min;
-    if (newValueInt > maxInt && max) quantityInput.value = max;
+    checkQuantityRules(this.refs.quantityInput);
   };
 
   /**
@@ -98,6 +91,20 @@ class QuantitySelectorComponent extends Component {
   }
 }
 
+/**
+ * Keeps the value of a quantity input between its `min` and `max`, set from the quantity rules of the variant
+ * @param {HTMLInputElement} quantityInput - The quantity input
+ */
+export function checkQuantityRules(quantityInput) {
+  const { min, max, value: newValue } = quantityInput;
+  const minInt = parseInt(min);
+  const maxInt = parseInt(max);
+  const newValueInt = parseInt(newValue);
+
+  if (newValueInt < minInt && min) quantityInput.value = min;
+  if (newValueInt > maxInt && max) quantityInput.value = max;
+}
+
 if (!customElements.get('quantity-selector-component')) {
   customElements.define('quantity-selector-component', QuantitySelectorComponent);
 }
@@ -10,6 +10,8 @@ export class ThemeEvents {
   static variantSelected = 'variant:selected';
   /** @static @constant {string} Event triggered when a variant is changed */
   static variantUpdate = 'variant:update';
+  /** @static @constant {string} Event triggered when a selected variant is resolved, before its section is fetched */
+  static variantResolved = 'variant:resolved';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
@@ -24,6 +26,8 @@ export class ThemeEvents {
   static zoomMediaSelected = 'zoom-media:selected';
   /** @static @constant {string} Event triggered when a discount is applied */
   static discountUpdate = 'discount:update';
+  /** @static @constant {string} Event triggered when the cart applies or rejects the code of a discount link */
+  static discountLink = 'discount:link';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
 }
@@ -57,6 +61,7 @@ export class VariantUpdateEvent extends Event {
    * @param {string} resource.id - The id of the variant
    * @param {boolean} resource.available - Whether the variant is available
    * @param {boolean} resource.inventory_management - Whether the variant has inventory management
+   * @param {string | null} [resource.sku] - The SKU of the variant
    * @param {Object} [resource.featured_media] - The featured media of the variant
    * @param {string} [resource.featured_media.id] - The id of the featured media
    * @param {Object} [resource.featured_media.preview_image] - The preview image of the featured media
@@ -83,6 +88,36 @@ export class VariantUpdateEvent extends Event {
   }
 }
 
+/**
+ * Event fired as soon as a selected variant is resolved from the product data of the page, before the
+ * {@link VariantUpdateEvent} brings the rendered section.
+ * @extends {Event}
+ */
+export class VariantResolvedEvent extends Event {
+  /**
+   * Creates a new VariantResolvedEvent
+   * @param {import('./variant-picker').ProductVariant | null} resource - The resolved variant, null when the selected
+   * options don't make a variant
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The product ID of the resolved variant
+   * @param {string} data.price - The formatted price of the variant
+   * @param {string} data.compareAtPrice - The formatted compare at price, empty when the variant isn't on sale
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.variantResolved, { bubbles: true });
+    this.detail = {
+      resource: resource || null,
+      sourceId,
+      data: {
+        productId: data.productId,
+        price: data.price,
+        compareAtPrice: data.compareAtPrice,
+      },
+    };
+  }
+}
+
 /**
  * Event class for cart additions
  * @extends {Event}
@@ -98,6 +133,7 @@ export class CartAddEvent extends Event {
    * @param {string} [data.productId] - The id of the product card that was updated
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was added
+   * @param {import('./cart-client').AddedItem[]} [data.items] - The result of each item, when several items are added
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
    */
   constructor(resource, sourceId, data) {
@@ -154,12 +190,14 @@ export class CartErrorEvent extends Event {
    * @param {string} message - A message from the server response
    * @param {Object} description - Description from the server response
    * @param {Object} errors - Errors from the server response
+   * @param {string} [type] - The type of error, one of the `CartErrorType` values from `@theme/cart-errors`
    */
-  constructor(sourceId, message, description, errors) {
+  constructor(sourceId, message, description, errors, type = 'server') {
     super(ThemeEvents.cartError, { bubbles: true });
     this.detail = {
       sourceId,
       data: {
+        type,
         message,
         errors,
         description,
@@ -206,6 +244,25 @@ export class DiscountUpdateEvent extends Event {
   }
 }
 
+/**
+ * Event fired when the cart applies or rejects the code of a `?discount=CODE` link
+ * @extends {Event}
+ */
+export class DiscountLinkEvent extends Event {
+  /**
+   * Creates a new DiscountLinkEvent
+   * @param {string} code - The discount code of the link
+   * @param {boolean} applied - Whether the code applies to the cart
+   */
+  constructor(code, applied) {
+    super(ThemeEvents.discountLink, { bubbles: true });
+    this.detail = {
+      code,
+      applied,
+    };
+  }
+}
+
 /**
  * Event class for media playback starts
  * @extends {Event}
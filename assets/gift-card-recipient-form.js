@@ -312,6 +312,9 @@ class GiftCardRecipientForm extends Component {
    * @param {CartErrorEvent} event - The cart error event
    */
   #displayCartError(event) {
+    // Only the errors of the product form this form belongs to, not the ones of the cart
+    if (!(event.target instanceof Node) || !event.target.contains(this)) return;
+
     if (event.detail?.data) {
       const { message, errors, description } = event.detail.data;
 
@@ -37,6 +37,9 @@ declare global {
     template: {
       name: string;
     };
+    cartHold?: {
+      duration: number;
+    };
   }
 
   interface Window {
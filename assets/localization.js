@@ -537,6 +537,19 @@ class DrawerLocalizationComponent extends Component {
   };
 }
 
+/**
+ * Gets the country of the active localization. The localization forms hold it, otherwise the storefront tells it.
+ * @returns {string | undefined} The ISO code of the country.
+ */
+export function getActiveCountryCode() {
+  const countryInput = document.querySelector('localization-form-component input[name="country_code"]');
+
+  // The default value is the active country, the value may be a country being picked
+  if (countryInput instanceof HTMLInputElement && countryInput.defaultValue) return countryInput.defaultValue;
+
+  return window.Shopify?.country;
+}
+
 if (!customElements.get('localization-form-component')) {
   customElements.define('localization-form-component', LocalizationFormComponent);
 }
@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { ThemeEvents, VariantUpdateEvent, ZoomMediaSelectedEvent } from '@theme/events';
+import { ThemeEvents, VariantResolvedEvent, VariantUpdateEvent, ZoomMediaSelectedEvent } from '@theme/events';
 
 /**
  * A custom element that renders a media gallery.
@@ -19,6 +19,7 @@ export class MediaGallery extends Component {
     const target = this.closest('.shopify-section, dialog');
 
     target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantResolved, this.#handleVariantResolved, { signal });
     this.refs.zoomDialogComponent?.addEventListener(ThemeEvents.zoomMediaSelected, this.#handleZoomMediaSelected, {
       signal,
     });
@@ -48,12 +49,60 @@ export class MediaGallery extends Component {
     this.replaceWith(newMediaGallery);
   };
 
+  /**
+   * Shows the media and the featured media of a resolved variant right away, until the variant update brings the new
+   * gallery.
+   *
+   * @param {VariantResolvedEvent} event - The variant resolved event.
+   */
+  #handleVariantResolved = (event) => {
+    const variant = event.detail.resource;
+    const { slideshow } = this;
+    const slides = slideshow?.refs.slides;
+
+    if (!variant || !slideshow || !slides) return;
+
+    const mediaId = variant.featured_media?.id;
+    const index = mediaId ? slides.findIndex((slide) => slide.querySelector(`[data-media-id="${mediaId}"]`)) : -1;
+    const hidden = this.#getHiddenMedia(variant.options);
+
+    if (hidden) {
+      slideshow.hideSlides(hidden, index === -1 ? undefined : index);
+      this.media?.forEach((media, i) => (media.hidden = hidden[i] === true));
+      this.refs.zoomDialogComponent?.hideMedia(hidden);
+    } else if (index !== -1) {
+      slideshow.selectSlide(index, undefined, { animate: false });
+    }
+  };
+
+  /**
+   * Gets the media hidden for the option values of a variant, when the media are grouped by the values of an option.
+   * The media of the other values are hidden, while the media outside of any group are shared by every value.
+   *
+   * @param {string[]} options - The option values of the variant.
+   * @returns {boolean[] | undefined} Whether each media is hidden, undefined when the media aren't grouped.
+   */
+  #getHiddenMedia(options) {
+    const optionIndex = parseInt(this.dataset.mediaGroupOption ?? '');
+    const slides = this.slideshow?.refs.slides;
+
+    if (Number.isNaN(optionIndex) || !slides) return;
+
+    const value = options[optionIndex]?.toLowerCase();
+    const groups = slides.map((slide) => slide.dataset.mediaGroup);
+
+    // A value without media of its own shows every media rather than none
+    if (!value || !groups.includes(value)) return groups.map(() => false);
+
+    return groups.map((group) => !!group && group !== value);
+  }
+
   /**
    * Handles the 'zoom-media:selected' event.
    * @param {ZoomMediaSelectedEvent} event - The zoom-media:selected event.
    */
   #handleZoomMediaSelected = async (event) => {
-    this.slideshow?.select(event.detail.index, undefined, { animate: false });
+    this.slideshow?.selectSlide(event.detail.index, undefined, { animate: false });
   };
 
   /**
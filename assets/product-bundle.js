@@ -0,0 +1,209 @@
+import { Component } from '@theme/component';
+import { cartClient } from '@theme/cart-client';
+import { CartErrorType, getCartError, getCartErrorMessage, hideCartError, showCartError } from '@theme/cart-errors';
+import { cartPerformance } from '@theme/performance';
+import { formatMoneyCents } from '@theme/utilities';
+
+/**
+ * A product picked in the bundle.
+ *
+ * @typedef {Object} BundleItem
+ * @property {number} index - The position of the product in the bundle
+ * @property {number} id - The variant id
+ * @property {number} quantity - The quantity, the minimum of the variant
+ */
+
+/**
+ * A custom element that adds several products to the cart at once, like a bundle or products frequently bought
+ * together.
+ *
+ * Shoppers pick the products and their variants, the total follows the selection, and everything is added in a
+ * single request. A product that can't be added shows its own error without stopping the others.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement[]} [toggles] - The checkbox that includes each product.
+ * @property {(HTMLSelectElement | HTMLInputElement)[]} [variants] - The variant of each product, a select when the
+ * product has several.
+ * @property {HTMLElement[]} [prices] - The price of each product.
+ * @property {HTMLElement[]} [errors] - The error of each product.
+ * @property {HTMLElement} total - The total of the picked products.
+ * @property {HTMLElement} error - The error shown when the request fails.
+ * @property {HTMLElement} liveRegion - The live region.
+ * @property {import('./product-form').AddToCartComponent} [addToCartButtonContainer] - The add to cart button.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the cart currency.
+ *
+ * @extends {Component<Refs>}
+ */
+class ProductBundleComponent extends Component {
+  requiredRefs = ['total', 'error', 'liveRegion', 'moneyFormat'];
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.update();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Renders the price of each product and the total of the picked ones.
+   */
+  update() {
+    const { toggles = [], prices = [], total, addToCartButtonContainer } = this.refs;
+    let totalCents = 0;
+
+    toggles.forEach((toggle, index) => {
+      const variant = this.#getVariant(index);
+      const price = prices[index];
+      const cents = Number(variant?.dataset.price) * this.#getQuantity(variant);
+      const available = variant?.dataset.available === 'true';
+
+      toggle.disabled = !available;
+
+      if (price) price.textContent = this.#formatMoney(cents);
+      if (available && toggle.checked) totalCents += cents;
+    });
+
+    total.textContent = this.#formatMoney(totalCents);
+
+    if (this.#getPickedItems().length > 0) {
+      addToCartButtonContainer?.enable();
+    } else {
+      addToCartButtonContainer?.disable();
+    }
+  }
+
+  /**
+   * Adds the picked products to the cart.
+   * @param {Event} event - The submit event.
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const { errors = [], error, liveRegion } = this.refs;
+    const items = this.#getPickedItems();
+
+    if (items.length === 0) return;
+
+    clearTimeout(this.#timeout);
+    hideCartError(error);
+    errors.forEach(hideCartError);
+
+    cartClient
+      .addItems(
+        items.map(({ id, quantity }) => ({ id, quantity, properties: {} })),
+        {
+          target: this,
+          sourceId: this.dataset.productId,
+          data: { source: 'product-bundle-component', productId: this.dataset.productId },
+        }
+      )
+      .then((response) => {
+        if ('pending' in response) {
+          // While offline the products are added once the shopper reconnects
+          showCartError(error, { type: CartErrorType.network, message: Theme.translations.cart_offline ?? '' });
+          return;
+        }
+
+        const { results } = response;
+
+        results.forEach((result, index) => {
+          const errorElement = errors[items[index]?.index ?? -1];
+          if (result.added || !errorElement) return;
+
+          const type = result.errorType ?? CartErrorType.server;
+
+          showCartError(errorElement, { type, message: getCartErrorMessage(type), detail: result.message });
+        });
+
+        const addedCount = results.filter((result) => result.added).length;
+        if (addedCount === 0) return;
+
+        liveRegion.textContent =
+          addedCount === results.length
+            ? (Theme.translations.added ?? '')
+            : (this.dataset.partialMessage ?? '')
+                .replace('[added]', String(addedCount))
+                .replace('[count]', String(results.length));
+
+        this.#timeout = setTimeout(() => (liveRegion.textContent = ''), 5000);
+      })
+      .catch((requestError) => {
+        showCartError(error, getCartError(requestError));
+        console.error(requestError);
+      })
+      .finally(() => {
+        cartPerformance.measureFromEvent('add:user-action', event);
+      });
+  }
+
+  /**
+   * Gets the products picked by the shopper that can be added.
+   * @returns {BundleItem[]} The picked products.
+   */
+  #getPickedItems() {
+    const { toggles = [] } = this.refs;
+
+    /** @type {BundleItem[]} */
+    const items = [];
+
+    toggles.forEach((toggle, index) => {
+      const variant = this.#getVariant(index);
+
+      if (!toggle.checked || !variant || variant.dataset.available !== 'true') return;
+
+      items.push({ index, id: Number(variant.dataset.variantId), quantity: this.#getQuantity(variant) });
+    });
+
+    return items;
+  }
+
+  /**
+   * Gets the element holding the selected variant of a product.
+   * @param {number} index - The position of the product.
+   * @returns {HTMLElement | undefined} The selected option, or the hidden input of a product without variants.
+   */
+  #getVariant(index) {
+    const variant = this.refs.variants?.[index];
+
+    return variant instanceof HTMLSelectElement ? variant.selectedOptions[0] : variant;
+  }
+
+  /**
+   * Gets the quantity added for a variant, so its minimum quantity rule is followed.
+   * @param {HTMLElement | undefined} variant - The selected variant.
+   * @returns {number} The quantity.
+   */
+  #getQuantity(variant) {
+    return Number(variant?.dataset.quantity) || 1;
+  }
+
+  /**
+   * Formats an amount with the money format of the cart.
+   * @param {number} cents - The amount in cents.
+   * @returns {string} The formatted amount.
+   */
+  #formatMoney(cents) {
+    const { moneyFormat } = this.refs;
+    const template = moneyFormat.content.textContent?.trim() || '{{amount}}';
+
+    return formatMoneyCents(cents || 0, template, moneyFormat.dataset.currency ?? '');
+  }
+}
+
+if (!customElements.get('product-bundle-component')) {
+  customElements.define('product-bundle-component', ProductBundleComponent);
+}
@@ -1,6 +1,8 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
+import { ThemeEvents, VariantResolvedEvent, VariantUpdateEvent } from '@theme/events';
+import { cartClient } from '@theme/cart-client';
+import { CartErrorType, getCartError, hideCartError, showCartError } from '@theme/cart-errors';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
 
@@ -145,6 +147,7 @@ class ProductFormComponent extends Component {
     const { signal } = this.#abortController;
     const target = this.closest('.shopify-section, dialog, product-card');
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantResolved, this.#onVariantResolved, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
   }
 
@@ -175,101 +178,57 @@ class ProductFormComponent extends Component {
     if (!form) throw new Error('Product form element missing');
 
     const formData = new FormData(form);
+    const id = formData.get('id');
+
+    if (!id) throw new Error('Form ID is required');
+
+    /** @type {import('./cart-client').CartRequestOptions} */
+    const options = {
+      target: this,
+      sourceId: id.toString(),
+      data: {
+        source: 'product-form-component',
+        itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+        productId: this.dataset.productId,
+      },
+    };
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        cartItemComponentsSectionIds.push(item.dataset.sectionId);
-      }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
-    });
-
-    const fetchCfg = fetchConfig('javascript', { body: formData });
+    // The form replaces a cart line when it's opened to edit one
+    const { cartLineKey } = this.dataset;
+    const request = cartLineKey
+      ? cartClient.replace(cartLineKey, formData, options)
+      : cartClient.add(formData, options);
 
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
+    request
       .then((response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
-
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
-
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
-
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-
-            // Clear the announcement
-            this.#clearLiveRegionText();
-          }, 10000);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+        if (response.pending) {
+          // While offline the item is added once the shopper reconnects
+          this.#showError({ type: CartErrorType.network, message: Theme.translations.cart_offline ?? '' });
+          return;
+        }
 
+        if (response.status) {
+          this.#showError(getCartError(response));
           return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
-
-          if (!id) throw new Error('Form ID is required');
-
-          // Add aria-live region to inform screen readers that the item was added
-          if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
-            const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
-            const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
-
-            this.#setLiveRegionText(addedText);
-
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, 5000);
-          }
-
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
+        }
+
+        if (addToCartTextError) hideCartError(addToCartTextError);
+
+        // Add aria-live region to inform screen readers that the item was added
+        if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
+          const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
+          const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+
+          this.#setLiveRegionText(addedText);
+
+          setTimeout(() => {
+            this.#clearLiveRegionText();
+          }, 5000);
         }
       })
       .catch((error) => {
+        this.#showError(getCartError(error));
         console.error(error);
       })
       .finally(() => {
@@ -278,6 +237,20 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Shows a cart error under the add to cart button for a while, the error element announces it.
+   * @param {import('./cart-errors').CartError} error - The error to show.
+   */
+  #showError(error) {
+    const { addToCartTextError } = this.refs;
+
+    if (!addToCartTextError) return;
+
+    showCartError(addToCartTextError, error);
+
+    this.#timeout = setTimeout(() => hideCartError(addToCartTextError), 10000);
+  }
+
   /**
    * @param {*} text
    */
@@ -341,6 +314,39 @@ class ProductFormComponent extends Component {
     }
   };
 
+  /**
+   * Updates the variant, the availability and the button text right away, the rest of the button follows with
+   * #onVariantUpdate.
+   * @param {VariantResolvedEvent} event
+   */
+  #onVariantResolved = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const { variantId, addToCartButtonContainer, acceleratedCheckoutButtonContainer } = this.refs;
+    const variant = event.detail.resource;
+
+    variantId.value = variant ? String(variant.id) : '';
+
+    if (variant?.available) {
+      addToCartButtonContainer?.enable();
+      acceleratedCheckoutButtonContainer?.removeAttribute('hidden');
+    } else {
+      addToCartButtonContainer?.disable();
+      acceleratedCheckoutButtonContainer?.setAttribute('hidden', 'true');
+    }
+
+    const { addToCartText, soldOutText, unavailableText } = this.dataset;
+    const text = !variant ? unavailableText : variant.available ? addToCartText : soldOutText;
+    const textElement = addToCartButtonContainer?.querySelector('.add-to-cart-text__content');
+
+    if (text && textElement) textElement.textContent = text;
+
+    const productVariantMedia = variant?.featured_media?.preview_image?.src;
+    if (productVariantMedia) {
+      addToCartButtonContainer?.setAttribute('data-product-variant-media', productVariantMedia + '&width=100');
+    }
+  };
+
   /**
    * Disable the add to cart button while the UI is updating before #onVariantUpdate is called.
    * Accelerated checkout button is also disabled via its own event listener not exposed to the theme.
@@ -1,4 +1,4 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantResolvedEvent, VariantUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a product price.
@@ -12,12 +12,14 @@ class ProductPrice extends HTMLElement {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.variantResolved, this.showResolvedPrice);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.variantResolved, this.showResolvedPrice);
   }
 
   /**
@@ -40,6 +42,64 @@ class ProductPrice extends HTMLElement {
       currentPrice.replaceWith(newPrice);
     }
   };
+
+  /**
+   * Shows the price of the resolved variant until the variant update brings the full price markup.
+   * @param {VariantResolvedEvent} event - The variant resolved event.
+   */
+  showResolvedPrice = (event) => {
+    const { productId, price, compareAtPrice } = event.detail.data;
+
+    if (productId !== this.dataset.productId || !price) return;
+
+    const priceContainer = this.querySelector('[ref="priceContainer"]');
+    const priceElement = priceContainer?.querySelector('.price');
+
+    if (!(priceContainer instanceof HTMLElement) || !priceElement) return;
+
+    priceElement.textContent = price;
+
+    const compareAtPriceElement = priceContainer.querySelector('.compare-at-price');
+    const compareAtPriceGroup = compareAtPriceElement?.closest('[role="group"]') ?? compareAtPriceElement;
+
+    if (!compareAtPrice) {
+      compareAtPriceGroup?.remove();
+    } else if (compareAtPriceElement) {
+      compareAtPriceElement.textContent = compareAtPrice;
+    } else {
+      const group = this.#createCompareAtPrice(compareAtPrice, priceContainer.dataset.regularPriceLabel ?? '');
+      const priceGroup = priceElement.closest('[role="group"]') ?? priceElement;
+
+      if (priceContainer.hasAttribute('data-sale-price-first')) {
+        priceGroup.after(group);
+      } else {
+        priceGroup.before(group);
+      }
+    }
+  };
+
+  /**
+   * Creates the markup of a compare at price, like the `price` snippet renders it.
+   * @param {string} compareAtPrice - The formatted compare at price.
+   * @param {string} label - The label read by screen readers.
+   * @returns {HTMLElement} The compare at price group.
+   */
+  #createCompareAtPrice(compareAtPrice, label) {
+    const group = document.createElement('span');
+    group.setAttribute('role', 'group');
+
+    const hiddenLabel = document.createElement('span');
+    hiddenLabel.className = 'visually-hidden';
+    hiddenLabel.textContent = `${label}\u00a0`;
+
+    const compareAtPriceElement = document.createElement('span');
+    compareAtPriceElement.className = 'compare-at-price';
+    compareAtPriceElement.textContent = compareAtPrice;
+
+    group.append(hiddenLabel, compareAtPriceElement);
+
+    return group;
+  }
 }
 
 if (!customElements.get('product-price')) {
@@ -215,6 +215,72 @@ if (!customElements.get('quick-add-component')) {
   customElements.define('quick-add-component', QuickAddComponent);
 }
 
+/**
+ * Opens the quick add modal to change the variant of a cart line.
+ * The product form in the modal then replaces the line instead of adding a new one.
+ */
+class CartLineEditComponent extends QuickAddComponent {
+  get productPageUrl() {
+    const { productUrl } = this.dataset;
+
+    return productUrl ? new URL(productUrl, window.location.origin).toString() : '';
+  }
+
+  /**
+   * Re-renders the variant picker, then preselects the properties and quantity of the cart line.
+   * @param {Element} productGrid - The product grid element
+   */
+  async updateQuickAddModal(productGrid) {
+    await super.updateQuickAddModal(productGrid);
+
+    const { lineKey, quantity, properties = '{}' } = this.dataset;
+    const productForm = document.querySelector('#quick-add-modal-content product-form-component');
+    const form = productForm?.querySelector('form');
+
+    if (!(productForm instanceof HTMLElement) || !form || !lineKey) return;
+
+    productForm.dataset.cartLineKey = lineKey;
+
+    /** @type {[string, string][]} */
+    const values = Object.entries(JSON.parse(properties)).map(([name, value]) => [`properties[${name}]`, value]);
+
+    if (quantity) values.push(['quantity', quantity]);
+
+    for (const [name, value] of values) {
+      // Also finds the fields outside of the form, linked to it with the `form` attribute
+      const field = form.elements.namedItem(name);
+
+      if (field instanceof RadioNodeList) {
+        // A radio group, or a checkbox along with the hidden field sent when it's unchecked
+        for (const input of field) {
+          if (isCheckable(input)) input.checked = input.value === value;
+        }
+      } else if (isCheckable(field)) {
+        field.checked = field.value === value;
+      } else if (
+        field instanceof HTMLInputElement ||
+        field instanceof HTMLTextAreaElement ||
+        field instanceof HTMLSelectElement
+      ) {
+        field.value = value;
+      }
+    }
+  }
+}
+
+/**
+ * Checks if a form field is a checkbox or a radio button, which are picked rather than filled in
+ * @param {unknown} field - The form field
+ * @returns {field is HTMLInputElement} Whether the field is a checkbox or a radio button
+ */
+function isCheckable(field) {
+  return field instanceof HTMLInputElement && (field.type === 'checkbox' || field.type === 'radio');
+}
+
+if (!customElements.get('cart-line-edit-component')) {
+  customElements.define('cart-line-edit-component', CartLineEditComponent);
+}
+
 class QuickAddDialog extends DialogComponent {
   #abortController = new AbortController();
 
@@ -24,6 +24,7 @@ const SLIDE_VISIBLITY_THRESHOLD = 0.7;
  * @property {HTMLElement} slideshowContainer
  * @property {HTMLElement[]} [slides]
  * @property {HTMLElement} [current]
+ * @property {HTMLElement} [total]
  * @property {HTMLElement[]} [thumbnails]
  * @property {HTMLElement[]} [dots]
  * @property {HTMLButtonElement} [previous]
@@ -54,6 +55,8 @@ export class Slideshow extends Component {
         const slide_id = this.refs.slides[index]?.getAttribute('slide-id');
         if (slide_id) {
           this.select({ id: slide_id }, undefined, { animate: false });
+        } else {
+          this.selectSlide(index, undefined, { animate: false });
         }
       });
     }
@@ -233,6 +236,51 @@ export class Slideshow extends Component {
     );
   }
 
+  /**
+   * Selects a slide based on its index among every slide, the hidden ones included, like the index of its thumbnail
+   * or dot. Hidden slides aren't selected.
+   * @param {number} index - The index of the slide to select.
+   * @param {Event} [event] - The event that triggered the selection.
+   * @param {Object} [options] - The options for the selection.
+   * @param {boolean} [options.animate=true] - Whether to animate the selection.
+   */
+  async selectSlide(index, event, options = {}) {
+    const slide = this.refs.slides?.[index];
+    const slideIndex = slide ? this.slides?.indexOf(slide) : undefined;
+
+    if (slideIndex === undefined || slideIndex === -1) return;
+
+    await this.select(slideIndex, event, options);
+  }
+
+  /**
+   * Hides slides, then shows one of the slides left. Their thumbnails and dots follow.
+   * @param {boolean[]} hidden - Whether each slide is hidden, by its index among every slide.
+   * @param {number} [index] - The index of the slide to show, among every slide. Defaults to the first slide left.
+   */
+  hideSlides(hidden, index) {
+    const { slides = [] } = this.refs;
+
+    slides.forEach((slide, i) => {
+      slide.removeAttribute('reveal');
+      slide.toggleAttribute('hidden', hidden[i] === true);
+    });
+
+    const requestedSlide = index === undefined || hidden[index] ? undefined : slides[index];
+    const slide = requestedSlide ?? this.slides?.[0];
+    if (!slide) return;
+
+    slide.setAttribute('aria-hidden', 'false');
+
+    if (this.#scroll) {
+      this.#scroll.to(slide, { instant: true });
+    }
+
+    this.current = this.slides?.indexOf(slide) || 0;
+
+    this.#centerSelectedThumbnail(this.current, 'instant');
+  }
+
   /**
    * Advances to the next slide.
    * @param {Event} [event] - The event that triggered the next slide.
@@ -337,14 +385,24 @@ export class Slideshow extends Component {
    * @type {number}
    */
   set current(value) {
-    const { current, thumbnails, dots, slides, previous, next } = this.refs;
+    const { current, total, thumbnails, dots, slides, previous, next } = this.refs;
+    const visibleSlides = this.slides ?? [];
+    const selectedSlide = visibleSlides[value];
 
     this.#current = value;
 
     if (current) current.textContent = `${value + 1}`;
+    if (total) total.textContent = `${visibleSlides.length}`;
 
+    // The controls are rendered for every slide, the ones of hidden slides are hidden with them
     for (const controls of [thumbnails, dots]) {
-      controls?.forEach((el, i) => el.setAttribute('aria-selected', `${i === value}`));
+      controls?.forEach((el, i) => {
+        const slide = slides?.[i];
+        const item = el.parentElement instanceof HTMLLIElement ? el.parentElement : el;
+
+        el.setAttribute('aria-selected', `${slide !== undefined && slide === selectedSlide}`);
+        item.hidden = slide !== undefined && !visibleSlides.includes(slide);
+      });
     }
 
     if (previous) previous.disabled = Boolean(!this.infinite && value === 0);
@@ -747,11 +805,12 @@ export class Slideshow extends Component {
 
   /**
    * Centers the selected thumbnail in the thumbnails container
-   * @param {number} index - The index of the selected thumbnail
+   * @param {number} index - The index of the selected slide
    * @param {ScrollBehavior} [behavior] - The scroll behavior.
    */
   #centerSelectedThumbnail(index, behavior = 'smooth') {
-    const selectedThumbnail = this.refs.thumbnails?.[index];
+    const slide = this.slides?.[index];
+    const selectedThumbnail = slide && this.refs.thumbnails?.[this.refs.slides?.indexOf(slide) ?? -1];
     if (!selectedThumbnail) return;
 
     const { thumbnailsContainer } = this.refs;
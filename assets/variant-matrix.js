@@ -0,0 +1,200 @@
+import { Component } from '@theme/component';
+import { cartClient } from '@theme/cart-client';
+import { CartErrorType, getCartError, getCartErrorMessage, hideCartError, showCartError } from '@theme/cart-errors';
+import { checkQuantityRules } from '@theme/component-quantity-selector';
+import { cartPerformance } from '@theme/performance';
+import { formatMoneyCents } from '@theme/utilities';
+
+/**
+ * A custom element that orders many variants of a product at once, for wholesale buyers.
+ *
+ * The variants are laid out with the values of the first option as rows and the values of the second option as
+ * columns, each with its own quantity input. A quantity of 0 leaves the variant out, any other quantity follows the
+ * quantity rules of the variant. The whole matrix is added to the cart in a single request.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement[]} [quantityInputs] - The quantity input of each variant.
+ * @property {HTMLElement} totalQuantity - The number of items ordered.
+ * @property {HTMLElement} totalPrice - The price of the items ordered.
+ * @property {HTMLButtonElement} submitButton - The add to cart button.
+ * @property {HTMLElement} error - The error shown when variants can't be added.
+ * @property {HTMLElement} liveRegion - The live region.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the cart currency.
+ *
+ * @extends {Component<Refs>}
+ */
+class VariantMatrixComponent extends Component {
+  requiredRefs = ['totalQuantity', 'totalPrice', 'submitButton', 'error', 'liveRegion', 'moneyFormat'];
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#renderTotals();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderTotals();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Fully selects the quantity when its input gets focused, so it can be typed over.
+   * @param {FocusEvent} event - The focus event.
+   */
+  selectInputValue(event) {
+    if (event.target instanceof HTMLInputElement) event.target.select();
+  }
+
+  /**
+   * Applies the quantity rules to a changed quantity, then renders the totals.
+   * @param {Event} event - The change event.
+   */
+  setQuantity(event) {
+    const input = event.target;
+    if (!(input instanceof HTMLInputElement)) return;
+
+    const quantity = parseInt(input.value);
+
+    if (Number.isNaN(quantity) || quantity <= 0) {
+      input.value = '0';
+    } else {
+      checkQuantityRules(input);
+    }
+
+    input.removeAttribute('aria-invalid');
+    this.#renderTotals();
+  }
+
+  /**
+   * Adds every variant with a quantity to the cart.
+   * @param {Event} event - The submit event.
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+
+    const { quantityInputs = [], submitButton, error, liveRegion } = this.refs;
+    const inputs = quantityInputs.filter((input) => !input.disabled && getQuantity(input) > 0);
+
+    if (inputs.length === 0) return;
+
+    clearTimeout(this.#timeout);
+    hideCartError(error);
+    submitButton.disabled = true;
+
+    const items = inputs.map((input) => ({
+      id: Number(input.dataset.variantId),
+      quantity: getQuantity(input),
+      properties: {},
+    }));
+
+    cartClient
+      .addItems(items, {
+        target: this,
+        sourceId: this.dataset.productId,
+        data: { source: 'variant-matrix-component', productId: this.dataset.productId },
+      })
+      .then((response) => {
+        if ('pending' in response) {
+          // While offline the variants are added once the shopper reconnects
+          showCartError(error, { type: CartErrorType.network, message: Theme.translations.cart_offline ?? '' });
+          return;
+        }
+
+        /** @type {import('./cart-errors').CartError | undefined} */
+        let cartError;
+
+        response.results.forEach((result, index) => {
+          const input = inputs[index];
+          if (!input) return;
+
+          if (result.added) {
+            input.value = '0';
+          } else {
+            input.setAttribute('aria-invalid', 'true');
+            if (!cartError) {
+              const type = result.errorType ?? CartErrorType.server;
+              cartError = { type, message: getCartErrorMessage(type), detail: result.message };
+            }
+          }
+        });
+
+        // The variants that couldn't be added keep their quantity, so they can be corrected and added again
+        if (cartError) showCartError(error, cartError);
+
+        const addedQuantity = response.results.reduce(
+          (total, result) => total + (result.added ? result.quantity : 0),
+          0
+        );
+
+        if (addedQuantity > 0) {
+          liveRegion.textContent = (this.dataset.addedMessage ?? '').replace('[quantity]', String(addedQuantity));
+          this.#timeout = setTimeout(() => (liveRegion.textContent = ''), 5000);
+        }
+      })
+      .catch((requestError) => {
+        showCartError(error, getCartError(requestError));
+        console.error(requestError);
+      })
+      .finally(() => {
+        this.#renderTotals();
+        cartPerformance.measureFromEvent('add:user-action', event);
+      });
+  }
+
+  /**
+   * Renders the number of items ordered and their price.
+   */
+  #renderTotals() {
+    const { quantityInputs = [], totalQuantity, totalPrice, submitButton } = this.refs;
+    let quantity = 0;
+    let price = 0;
+
+    for (const input of quantityInputs) {
+      if (input.disabled) continue;
+
+      const inputQuantity = getQuantity(input);
+
+      quantity += inputQuantity;
+      price += inputQuantity * Number(input.dataset.price);
+    }
+
+    totalQuantity.textContent = String(quantity);
+    totalPrice.textContent = this.#formatMoney(price);
+    submitButton.disabled = quantity === 0;
+  }
+
+  /**
+   * Formats an amount with the money format of the cart.
+   * @param {number} cents - The amount in cents.
+   * @returns {string} The formatted amount.
+   */
+  #formatMoney(cents) {
+    const { moneyFormat } = this.refs;
+    const template = moneyFormat.content.textContent?.trim() || '{{amount}}';
+
+    return formatMoneyCents(cents || 0, template, moneyFormat.dataset.currency ?? '');
+  }
+}
+
+/**
+ * Gets the quantity of a quantity input, 0 when it's empty.
+ * @param {HTMLInputElement} input - The quantity input.
+ * @returns {number} The quantity.
+ */
+function getQuantity(input) {
+  return Math.max(parseInt(input.value) || 0, 0);
+}
+
+if (!customElements.get('variant-matrix-component')) {
+  customElements.define('variant-matrix-component', VariantMatrixComponent);
+}
@@ -1,7 +1,51 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { VariantResolvedEvent, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
-import { requestYieldCallback } from '@theme/utilities';
+import { normalizeSectionId } from '@theme/section-renderer';
+import { formatMoneyCents, requestYieldCallback } from '@theme/utilities';
+
+/**
+ * The fields of the embedded variants used to resolve a selection.
+ *
+ * @typedef {Object} ProductVariant
+ * @property {number} id - The id of the variant
+ * @property {string[]} options - The option values of the variant, in the order of the product options
+ * @property {boolean} available - Whether the variant is available
+ * @property {string | null} [sku] - The SKU of the variant
+ * @property {number} price - The price of the variant, in cents
+ * @property {number | null} compare_at_price - The compare at price of the variant, in cents
+ * @property {{ id: number, preview_image?: { src?: string } } | null} featured_media - The featured media of the variant
+ */
+
+/**
+ * The options and availability of a variant, all a picker needs to mark its option values.
+ *
+ * @typedef {Object} VariantAvailability
+ * @property {string[]} options - The option values of the variant, in the order of the product options
+ * @property {boolean} available - Whether the variant is available
+ */
+
+/**
+ * The selection kept in a history entry, restored when the shopper goes back or forward to it.
+ *
+ * @typedef {Object} VariantHistoryState
+ * @property {string[]} optionValueIds - The ids of the selected option values
+ * @property {number} [mediaIndex] - The index of the media shown in the gallery when the shopper left the entry
+ */
+
+/** The number of prefetched sections kept for the options the shopper points at. */
+const PREFETCH_LIMIT = 10;
+
+/** How long the shopper points at an option before its section is prefetched, in milliseconds. */
+const PREFETCH_DELAY = 150;
+
+/**
+ * A section fetched ahead of a selection.
+ *
+ * @typedef {Object} PrefetchedSection
+ * @property {Promise<string>} request - The request of the section
+ * @property {AbortController} abortController - Cancels the request
+ */
 
 /**
  * @typedef {object} VariantPickerRefs
@@ -27,6 +71,21 @@ export default class VariantPicker extends Component {
   /** @type {HTMLInputElement[][]} */
   #radios = [];
 
+  /**
+   * The sections fetched ahead of a selection, by request URL
+   * @type {Map<string, PrefetchedSection>}
+   */
+  #prefetchedSections = new Map();
+
+  /** @type {number | undefined} */
+  #prefetchTimeout;
+
+  /**
+   * The embedded data, parsed once for its source text, by selector
+   * @type {Map<string, { source: string, data: unknown }>}
+   */
+  #parsedData = new Map();
+
   connectedCallback() {
     super.connectedCallback();
     const fieldsets = /** @type {HTMLFieldSetElement[]} */ (this.refs.fieldsets || []);
@@ -42,6 +101,34 @@ export default class VariantPicker extends Component {
     });
 
     this.addEventListener('change', this.variantChanged.bind(this));
+    this.addEventListener('pointerover', this.#schedulePrefetch);
+    this.addEventListener('focusin', this.#schedulePrefetch);
+    this.addEventListener('pointerleave', this.#cancelPrefetch);
+
+    if (this.#isMainPicker) {
+      window.addEventListener('popstate', this.#handlePopState);
+
+      // The entry the shopper landed on gets a selection too, so going back to it restores its options
+      if (!history.state?.variantPicker) {
+        history.replaceState({ variantPicker: { optionValueIds: this.selectedOptionsValues } }, '');
+      }
+    }
+
+    this.#updateAvailability();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#updateAvailability();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#handlePopState);
+    this.#cancelPrefetch();
+    this.#abortPrefetches();
   }
 
   /**
@@ -70,6 +157,14 @@ export default class VariantPicker extends Component {
     const newUrl = selectedOption.dataset.connectedProductUrl;
     const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
 
+    // Read before the resolved variant moves the gallery to its media
+    const slideshow = this.#mediaGallery?.slideshow;
+    const currentSlide = slideshow?.slides?.[slideshow.current];
+    const mediaIndex = currentSlide ? slideshow?.refs.slides?.indexOf(currentSlide) : undefined;
+
+    // The rest of the page follows once the section is fetched in the background
+    if (!loadsNewProduct) this.#resolveVariant();
+
     this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), loadsNewProduct);
 
     const url = new URL(window.location.href);
@@ -90,12 +185,81 @@ export default class VariantPicker extends Component {
     }
 
     if (url.href !== window.location.href) {
+      /** @type {VariantHistoryState} */
+      const state = { optionValueIds: this.selectedOptionsValues };
+
       requestYieldCallback(() => {
-        history.replaceState({}, '', url.toString());
+        if (this.dataset.history === 'push') {
+          // The entry left keeps its gallery position, restored when the shopper comes back to it
+          const previousState = history.state?.variantPicker;
+          if (previousState) history.replaceState({ variantPicker: { ...previousState, mediaIndex } }, '');
+
+          history.pushState({ variantPicker: state }, '', url.toString());
+        } else {
+          history.replaceState({ variantPicker: state }, '', url.toString());
+        }
       });
     }
   }
 
+  /**
+   * Restores the selection of a history entry when the shopper goes back or forward to it.
+   * @param {PopStateEvent} event - The popstate event.
+   */
+  #handlePopState = (event) => {
+    /** @type {VariantHistoryState | undefined} */
+    const state = event.state?.variantPicker;
+    if (!state) return;
+
+    const { optionValueIds, mediaIndex } = state;
+    const currentOptionValueIds = this.selectedOptionsValues;
+    const changedOptionValueId = optionValueIds.find((id, index) => id !== currentOptionValueIds[index]);
+
+    if (!changedOptionValueId) return;
+    if (!optionValueIds.every((id) => this.querySelector(`[data-option-value-id="${id}"]`))) return;
+
+    for (const id of optionValueIds) this.#selectOption(id);
+
+    const selectedOption = this.querySelector(`[data-option-value-id="${changedOptionValueId}"]`);
+    if (!(selectedOption instanceof HTMLElement)) return;
+
+    this.dispatchEvent(new VariantSelectedEvent({ id: changedOptionValueId }));
+
+    // The URL was already restored by the browser, the page follows it like on a selection
+    const currentUrl = this.dataset.productUrl?.split('?')[0];
+    const newUrl = selectedOption.dataset.connectedProductUrl;
+    const loadsNewProduct = !!newUrl && newUrl !== currentUrl;
+    const { href } = window.location;
+
+    if (!loadsNewProduct) this.#resolveVariant();
+
+    this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), loadsNewProduct).then(() => {
+      // Another entry was restored in the meantime
+      if (window.location.href !== href || mediaIndex === undefined) return;
+
+      // The gallery of the variant update selects its initial slide once it's ready
+      this.#mediaGallery?.slideshow?.setAttribute('initial-slide', String(mediaIndex));
+    });
+  };
+
+  /**
+   * Selects an option value, whether it's a button or an option of a dropdown.
+   * @param {string} optionValueId - The id of the option value.
+   */
+  #selectOption(optionValueId) {
+    const option = this.querySelector(`[data-option-value-id="${optionValueId}"]`);
+
+    if (option instanceof HTMLOptionElement) {
+      const select = option.closest('select');
+      if (!select) return;
+
+      select.value = option.value;
+      this.updateSelectedOption(select);
+    } else if (option) {
+      this.updateSelectedOption(option);
+    }
+  }
+
   /**
    * Updates the selected option.
    * @param {string | Element} target - The target element.
@@ -172,6 +336,56 @@ export default class VariantPicker extends Component {
 
       newSelectedOption.setAttribute('selected', 'selected');
     }
+
+    this.#updateAvailability();
+  }
+
+  /**
+   * Marks each option value as available, sold out or nonexistent when combined with the other selected values.
+   * The options without a selected value, like the ones a product card doesn't show, match any value.
+   */
+  #updateAvailability() {
+    const variants = this.#variantAvailability;
+    if (!variants) return;
+
+    /** @type {(HTMLInputElement | HTMLOptionElement)[]} */
+    const optionValues = Array.from(
+      this.querySelectorAll('fieldset input[data-input-id], select option[data-input-id]')
+    );
+    /** @type {(string | undefined)[]} */
+    const selectedValues = [];
+
+    for (const optionValue of optionValues) {
+      const selected = optionValue instanceof HTMLInputElement ? optionValue.checked : optionValue.selected;
+      if (selected) selectedValues[getOptionIndex(optionValue)] = optionValue.value;
+    }
+
+    for (const optionValue of optionValues) {
+      const values = Array.from(selectedValues);
+      values[getOptionIndex(optionValue)] = optionValue.value;
+
+      const matchingVariants = variants.filter((variant) =>
+        variant.options.every((value, index) => values[index] === undefined || values[index] === value)
+      );
+      const exists = matchingVariants.length > 0;
+      const available = matchingVariants.some((variant) => variant.available);
+      const label = getOptionValueLabel(optionValue.value, exists, available);
+
+      optionValue.dataset.optionAvailable = String(available);
+      optionValue.dataset.optionExists = String(exists);
+
+      if (optionValue instanceof HTMLOptionElement) {
+        optionValue.textContent = label;
+      } else {
+        optionValue.setAttribute('aria-label', label);
+
+        if (available) {
+          optionValue.removeAttribute('aria-disabled');
+        } else {
+          optionValue.setAttribute('aria-disabled', 'true');
+        }
+      }
+    }
   }
 
   /**
@@ -198,6 +412,16 @@ export default class VariantPicker extends Component {
       }
     }
 
+    return this.#toRequestUrl(productUrl, params);
+  }
+
+  /**
+   * Builds the request URL of a product from its parameters.
+   * @param {string | undefined} productUrl - The product URL.
+   * @param {string[]} params - The URL parameters.
+   * @returns {string} The request URL.
+   */
+  #toRequestUrl(productUrl, params) {
     // If variant-picker is a child of quick-add-component or swatches-variant-picker-component, we need to append section_id=section-rendering-product-card to the URL
     if (this.closest('quick-add-component') || this.closest('swatches-variant-picker-component')) {
       if (productUrl?.includes('?')) {
@@ -208,19 +432,178 @@ export default class VariantPicker extends Component {
     return `${productUrl}?${params.join('&')}`;
   }
 
+  /**
+   * Prefetches the option the shopper points at or focuses once they rest on it, sweeping across the options doesn't
+   * fetch every one of them.
+   * @param {Event} event - The pointerover or focusin event.
+   */
+  #schedulePrefetch = (event) => {
+    this.#cancelPrefetch();
+    this.#prefetchTimeout = setTimeout(() => this.#prefetchOption(event), PREFETCH_DELAY);
+  };
+
+  /**
+   * Cancels the prefetch of the option the shopper pointed at.
+   */
+  #cancelPrefetch = () => {
+    clearTimeout(this.#prefetchTimeout);
+  };
+
+  /**
+   * Fetches the section of an option, so it's ready once the option is selected.
+   * Only the pickers that resolve variants from the page prefetch, the other ones fetch on selection. The options of
+   * other products morph the whole page, they're fetched on selection too.
+   * @param {Event} event - The pointerover or focusin event.
+   */
+  #prefetchOption(event) {
+    if (!(event.target instanceof Element) || !this.#variants) return;
+
+    const option = event.target.closest('label')?.querySelector('input') ?? event.target;
+    if (!(option instanceof HTMLInputElement) || option.checked) return;
+
+    const fieldsetIndex = Number.parseInt(option.dataset.fieldsetIndex || '');
+    const { optionValueId, connectedProductUrl } = option.dataset;
+    if (Number.isNaN(fieldsetIndex) || !optionValueId) return;
+
+    const { productUrl } = this.dataset;
+    if (connectedProductUrl && connectedProductUrl.split('?')[0] !== productUrl?.split('?')[0]) return;
+
+    const optionValues = [...this.selectedOptionsValues];
+    optionValues[fieldsetIndex] = optionValueId;
+
+    const requestUrl = this.#toRequestUrl(productUrl, [`option_values=${optionValues.join(',')}`]);
+
+    if (this.#prefetchedSections.has(requestUrl)) return;
+
+    // Keep only the most recent sections
+    const [oldestUrl] = this.#prefetchedSections.keys();
+    if (oldestUrl && this.#prefetchedSections.size >= PREFETCH_LIMIT) {
+      this.#prefetchedSections.get(oldestUrl)?.abortController.abort();
+      this.#prefetchedSections.delete(oldestUrl);
+    }
+
+    // Only the section of the picker is needed to update the product
+    const url = new URL(requestUrl, window.location.origin);
+    const section = this.closest('.shopify-section');
+    if (section && !url.searchParams.has('section_id')) {
+      url.searchParams.set('section_id', normalizeSectionId(section.id));
+    }
+
+    const abortController = new AbortController();
+    const request = fetch(url, { signal: abortController.signal }).then((response) => response.text());
+
+    // A failed prefetch is dropped, so pointing at the option again prefetches it again
+    request.catch(() => this.#prefetchedSections.delete(requestUrl));
+
+    this.#prefetchedSections.set(requestUrl, { request, abortController });
+  }
+
+  /**
+   * Cancels the sections still being prefetched, and drops the prefetched ones.
+   */
+  #abortPrefetches() {
+    for (const { abortController } of this.#prefetchedSections.values()) abortController.abort();
+
+    this.#prefetchedSections.clear();
+  }
+
+  /**
+   * Resolves the selected variant from the embedded variants, so its price, availability and media show right away.
+   */
+  #resolveVariant() {
+    const variants = this.#variants;
+    const data = this.querySelector('script[data-variants]');
+    if (!variants || !(data instanceof HTMLElement)) return;
+
+    /** @type {(HTMLInputElement | HTMLOptionElement)[]} */
+    const selectedOptions = Array.from(this.querySelectorAll('select option[selected], fieldset input:checked'));
+    const values = selectedOptions.map((option) => option.value);
+    const variant = variants.find((variant) => variant.options.every((value, index) => value === values[index]));
+
+    const { moneyFormat = '{{amount}}', currency = '' } = data.dataset;
+    const price = variant ? formatMoneyCents(variant.price, moneyFormat, currency) : '';
+    const compareAtPrice =
+      variant?.compare_at_price && variant.compare_at_price > variant.price
+        ? formatMoneyCents(variant.compare_at_price, moneyFormat, currency)
+        : '';
+
+    this.dispatchEvent(
+      new VariantResolvedEvent(variant ?? null, this.selectedOptionId ?? '', {
+        productId: this.dataset.productId ?? '',
+        price,
+        compareAtPrice,
+      })
+    );
+  }
+
+  /**
+   * Gets the variants embedded in the picker.
+   * @returns {ProductVariant[] | undefined} The variants, undefined when the picker doesn't embed them.
+   */
+  get #variants() {
+    return /** @type {ProductVariant[] | undefined} */ (this.#readData('script[data-variants]'));
+  }
+
+  /**
+   * Gets the availability of the variants, from the embedded variants or the lighter availability of product cards.
+   * @returns {VariantAvailability[] | undefined} The availability, undefined when the picker doesn't embed it.
+   */
+  get #variantAvailability() {
+    const selector = 'script[data-variants], script[data-variant-availability]';
+
+    return /** @type {VariantAvailability[] | undefined} */ (this.#readData(selector));
+  }
+
+  /**
+   * Reads data embedded in the picker, parsed again only when a morph changed it.
+   * @param {string} selector - The selector of the script holding the data.
+   * @returns {unknown} The data, undefined when the picker doesn't embed it.
+   */
+  #readData(selector) {
+    const source = this.querySelector(selector)?.textContent;
+    if (!source) return undefined;
+
+    let parsedData = this.#parsedData.get(selector);
+
+    if (parsedData?.source !== source) {
+      try {
+        parsedData = { source, data: JSON.parse(source) };
+      } catch {
+        return undefined;
+      }
+
+      this.#parsedData.set(selector, parsedData);
+    }
+
+    return parsedData.data;
+  }
+
   /**
    * Fetches the updated section.
    * @param {string} requestUrl - The request URL.
    * @param {boolean} shouldMorphMain - If the entire main content should be morphed. By default, only the variant picker is morphed.
+   * @returns {Promise<void>} Resolves once the page is updated, or the request failed or got aborted.
    */
   fetchUpdatedSection(requestUrl, shouldMorphMain = false) {
     // We use this to abort the previous fetch request if it's still pending.
     this.#abortController?.abort();
     this.#abortController = new AbortController();
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
+    const { signal } = this.#abortController;
+    // The whole page is morphed for another product, the prefetched sections only hold the picker section
+    const prefetchedSection = shouldMorphMain ? undefined : this.#prefetchedSections.get(requestUrl)?.request;
+    this.#prefetchedSections.delete(requestUrl);
+    this.#cancelPrefetch();
+    this.#abortPrefetches();
+
+    const fetchSection = () => fetch(requestUrl, { signal }).then((response) => response.text());
+
+    // A prefetch that fails, even once the option is selected, is fetched again
+    return (prefetchedSection?.catch(fetchSection) ?? fetchSection())
       .then((responseText) => {
+        // The prefetched section isn't fetched with the signal of the selection, it's dropped once another is made
+        if (signal.aborted) return;
+
         this.#pendingRequestUrl = undefined;
         const html = new DOMParser().parseFromString(responseText, 'text/html');
         // Defer is only useful for the initial rendering of the page. Remove it here.
@@ -309,6 +692,26 @@ export default class VariantPicker extends Component {
     morph(main, newMain);
   }
 
+  /**
+   * Whether the picker selects the variant of the product page, rather than of a card or a quick add.
+   * @returns {boolean}
+   */
+  get #isMainPicker() {
+    return (
+      this.dataset.templateProductMatch === 'true' && !this.closest('product-card') && !this.closest('quick-add-dialog')
+    );
+  }
+
+  /**
+   * Gets the media gallery of the product, whose position is kept in the history.
+   * @returns {import('./media-gallery').MediaGallery | undefined}
+   */
+  get #mediaGallery() {
+    const mediaGallery = this.closest('.shopify-section')?.querySelector('media-gallery');
+
+    return /** @type {import('./media-gallery').MediaGallery | null | undefined} */ (mediaGallery) ?? undefined;
+  }
+
   /**
    * Gets the selected option.
    * @returns {HTMLInputElement | HTMLOptionElement | undefined} The selected option.
@@ -357,6 +760,32 @@ export default class VariantPicker extends Component {
   }
 }
 
+/**
+ * Gets the index of the product option an option value belongs to.
+ * @param {HTMLElement} optionValue - The input or option of the option value.
+ * @returns {number} The index of the option.
+ */
+function getOptionIndex(optionValue) {
+  const [position = ''] = (optionValue.dataset.inputId ?? '').split('-');
+
+  return Number.parseInt(position) - 1;
+}
+
+/**
+ * Gets the label of an option value, which tells when it's sold out or doesn't exist with the selected values.
+ * @param {string} value - The option value.
+ * @param {boolean} exists - Whether a variant has the option value with the selected values.
+ * @param {boolean} available - Whether such a variant is available.
+ * @returns {string} The label.
+ */
+function getOptionValueLabel(value, exists, available) {
+  if (available) return value;
+
+  const message = exists ? Theme.translations.variant_option_sold_out : Theme.translations.variant_option_unavailable;
+
+  return message ? message.replace('[value]', value) : value;
+}
+
 if (!customElements.get('variant-picker')) {
   customElements.define('variant-picker', VariantPicker);
 }
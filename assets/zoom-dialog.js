@@ -147,7 +147,9 @@ export class ZoomDialog extends Component {
 
     const slideshowActive = mediaGallery?.presentation === 'carousel';
 
-    const slide = slideshowActive ? mediaGallery.slideshow?.slides?.[activeIndex] : mediaGallery?.media?.[activeIndex];
+    const slide = slideshowActive
+      ? mediaGallery.slideshow?.refs.slides?.[activeIndex]
+      : mediaGallery?.media?.[activeIndex];
 
     if (!slide) return this.closeDialog();
 
@@ -185,6 +187,20 @@ export class ZoomDialog extends Component {
     this.close();
   }
 
+  /**
+   * Hides media, along with their thumbnails, to follow the media shown in the gallery.
+   * @param {boolean[]} hidden - Whether each media is hidden.
+   */
+  hideMedia(hidden) {
+    const { media, thumbnails } = this.refs;
+
+    media.forEach((item, index) => (item.hidden = hidden[index] === true));
+
+    Array.from(thumbnails.children).forEach((thumbnail, index) => {
+      if (thumbnail instanceof HTMLElement) thumbnail.hidden = hidden[index] === true;
+    });
+  }
+
   /**
    * Handles the click event of a thumbnail.
    * @param {number} index - The index of the thumbnail to select.